@@ -0,0 +1,194 @@
+if (!customElements.get('back-in-stock-form')) {
+  // Sends sign-ups to the store's email through the contact form, with the variant in fields of their own.
+  // The contact form needs an email address, so only emails are accepted with it.
+  class ContactFormSignupAdapter {
+    acceptsPhone = false;
+
+    // `body` is the message of the contact form, with `[title]` and `[variant]` in place of the product and variant
+    constructor(form, body) {
+      this.form = form;
+      this.body = body;
+    }
+
+    submit({ contact, product, variant }) {
+      const formData = new FormData(this.form);
+      formData.set('contact[email]', contact.value);
+      formData.set('contact[Product]', product.title);
+      formData.set('contact[Variant]', variant.title);
+      formData.set('contact[Variant ID]', variant.id);
+      formData.set('contact[Product URL]', product.url);
+      formData.set('contact[body]', this.body.replace('[title]', product.title).replace('[variant]', variant.title));
+
+      // the contact form redirects back with `contact_posted=true` once the message is sent
+      return fetch(this.form.action, { method: 'POST', body: formData }).then((response) => {
+        if (!response.ok || !new URL(response.url).searchParams.has('contact_posted')) {
+          throw new Error('The contact form did not accept the sign-up');
+        }
+      });
+    }
+  }
+
+  // Posts sign-ups as JSON to an endpoint of the merchant's, e.g. an app proxy:
+  // `{ "contact": { "type": "email" | "phone", "value": "..." }, "product": {...}, "variant": {...} }`
+  class EndpointSignupAdapter {
+    acceptsPhone = true;
+
+    constructor(url) {
+      this.url = url;
+    }
+
+    submit(signup) {
+      return fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify(signup),
+      }).then((response) => {
+        if (!response.ok) throw new Error(`The sign-up failed with status ${response.status}`);
+      });
+    }
+  }
+
+  customElements.define(
+    'back-in-stock-form',
+    class BackInStockForm extends HTMLElement {
+      static EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      static PHONE = /^\+?\d{7,15}$/;
+      // variants signed up for on this device, a variant is only signed up for once
+      static signups = new ProductListStore('back-in-stock', { adapter: new LocalStorageListAdapter('back-in-stock') });
+
+      constructor() {
+        super();
+
+        this.form = this.querySelector('form');
+        this.input = this.form.querySelector('input[name="contact[email]"]');
+        this.submitButton = this.form.querySelector('[type="submit"]');
+        this.adapter = this.dataset.endpoint
+          ? new EndpointSignupAdapter(this.dataset.endpoint)
+          : new ContactFormSignupAdapter(this.form, this.dataset.requestBody);
+
+        this.form.addEventListener('submit', this.onSubmitHandler.bind(this));
+        this.input.addEventListener('input', () => this.setError());
+      }
+
+      connectedCallback() {
+        // quick add modals render the section under the same id, so changes are matched by the variant instead:
+        // the change is for this form when its product form was just set to the variant
+        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, ({ data }) => {
+          if (this.productForm?.variantIdInput?.value !== String(data.variant.id)) return;
+          this.update(data.variant);
+        });
+
+        // the variant the section was rendered with, the form is rendered hidden unless it's sold out
+        const { variantId, variantTitle } = this.dataset;
+        this.update(variantId ? { id: Number(variantId), title: variantTitle, available: this.hidden } : null);
+      }
+
+      disconnectedCallback() {
+        this.variantChangeUnsubscriber();
+      }
+
+      get productForm() {
+        return this.parentElement.querySelector('product-form');
+      }
+
+      get productFormButtons() {
+        return this.productForm?.querySelector('.product-form__buttons');
+      }
+
+      // the form takes the place of the buy buttons while the variant is sold out
+      update(variant) {
+        this.variant = variant;
+        const soldOut = !!variant && !variant.available;
+
+        this.hidden = !soldOut;
+        this.productFormButtons?.classList.toggle('hidden', soldOut);
+        if (!soldOut) return;
+
+        this.setError();
+        BackInStockForm.signups.ready.then(() => {
+          if (this.variant !== variant) return;
+          this.setSignedUp(BackInStockForm.signups.has(variant.id));
+        });
+      }
+
+      onSubmitHandler(event) {
+        event.preventDefault();
+        if (this.submitButton.getAttribute('aria-disabled') === 'true') return;
+
+        const contact = this.contact;
+        if (!contact) {
+          this.setError(this.dataset.invalid);
+          this.input.focus();
+          return;
+        }
+
+        const variant = this.variant;
+        if (BackInStockForm.signups.has(variant.id)) {
+          this.setSignedUp(true);
+          return;
+        }
+
+        this.setError();
+        this.setLoading(true);
+
+        this.adapter
+          .submit({
+            contact,
+            product: {
+              id: Number(this.dataset.productId),
+              title: this.dataset.productTitle,
+              url: new URL(`${this.dataset.productUrl}?variant=${variant.id}`, window.location.origin).toString(),
+            },
+            variant: { id: variant.id, title: variant.title, sku: variant.sku || null },
+          })
+          .then(() => BackInStockForm.signups.add({ id: variant.id, product_id: Number(this.dataset.productId) }))
+          .then(() => {
+            if (this.variant !== variant) return;
+            this.setSignedUp(true);
+            this.querySelector('.back-in-stock__success').focus();
+          })
+          .catch((e) => {
+            console.error(e);
+            this.setError(this.dataset.error);
+          })
+          .finally(() => this.setLoading(false));
+      }
+
+      // returns the contact the shopper entered, or null when it isn't a valid email or phone number
+      get contact() {
+        const value = this.input.value.trim();
+        if (BackInStockForm.EMAIL.test(value)) return { type: 'email', value };
+        if (!this.adapter.acceptsPhone) return null;
+
+        const phone = value.replace(/[\s\-().]/g, '');
+        return BackInStockForm.PHONE.test(phone) ? { type: 'phone', value: phone } : null;
+      }
+
+      setSignedUp(signedUp) {
+        this.form.hidden = signedUp;
+        const success = this.querySelector('.back-in-stock__success');
+        success.hidden = !signedUp;
+        success.querySelector('.back-in-stock__success-text').textContent = signedUp
+          ? this.dataset.success.replace('[title]', this.dataset.productTitle)
+          : '';
+      }
+
+      setLoading(loading) {
+        this.submitButton.setAttribute('aria-disabled', loading);
+        this.submitButton.classList.toggle('loading', loading);
+        this.submitButton.querySelector('.loading__spinner').classList.toggle('hidden', !loading);
+      }
+
+      setError(message = '') {
+        const error = this.form.querySelector('.form__message');
+        error.querySelector('.back-in-stock__error').textContent = message;
+        error.hidden = !message;
+        if (message) {
+          this.input.setAttribute('aria-invalid', true);
+        } else {
+          this.input.removeAttribute('aria-invalid');
+        }
+      }
+    }
+  );
+}
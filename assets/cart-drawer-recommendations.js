@@ -0,0 +1,78 @@
+if (!customElements.get('cart-drawer-recommendations')) {
+  customElements.define(
+    'cart-drawer-recommendations',
+    class CartDrawerRecommendations extends ProductRecommendations {
+      // recommendations are requested per product, for the most recently added products only
+      static MAX_SOURCE_PRODUCTS = 3;
+      // the drawer is re-rendered on every cart change, responses are kept so unchanged products aren't refetched
+      static responses = new Map();
+
+      connectedCallback() {
+        this.initializeRecommendations(this.dataset.productIds);
+      }
+
+      loadRecommendations(productIds) {
+        const cartProductIds = productIds.split(',').filter(Boolean);
+
+        Promise.all(
+          cartProductIds
+            .slice(0, CartDrawerRecommendations.MAX_SOURCE_PRODUCTS)
+            .map((productId) => this.fetchRecommendations(productId))
+        )
+          .then((tileLists) => {
+            const seenProductIds = new Set(cartProductIds);
+            const tiles = tileLists
+              .flat()
+              .filter(({ dataset }) => {
+                if (seenProductIds.has(dataset.productId)) return false;
+                seenProductIds.add(dataset.productId);
+                return true;
+              })
+              .slice(0, parseInt(this.dataset.limit));
+
+            this.render(tiles);
+          })
+          .catch((e) => {
+            console.error(e);
+          });
+      }
+
+      fetchRecommendations(productId) {
+        const { responses } = CartDrawerRecommendations;
+        if (!responses.has(productId)) {
+          responses.set(
+            productId,
+            fetch(`${this.dataset.url}&product_id=${productId}&section_id=${this.dataset.sectionId}`).then(
+              (response) => {
+                if (!response.ok) throw new Error(`Recommendations request failed with status ${response.status}`);
+                return response.text();
+              }
+            )
+          );
+          responses.get(productId).catch(() => responses.delete(productId));
+        }
+
+        return responses
+          .get(productId)
+          .then((text) =>
+            Array.from(
+              new DOMParser().parseFromString(text, 'text/html').querySelectorAll('.cart-recommendations__item')
+            )
+          );
+      }
+
+      render(tiles) {
+        if (!tiles.length) return;
+
+        const list = document.createElement('ul');
+        list.className = 'cart-recommendations__list list-unstyled';
+        list.setAttribute('role', 'list');
+        list.replaceChildren(...tiles);
+
+        this.querySelector('.cart-recommendations__content').replaceChildren(list);
+        this.querySelector('.cart-recommendations__heading').hidden = false;
+        this.classList.add('product-recommendations--loaded');
+      }
+    }
+  );
+}
@@ -0,0 +1,119 @@
+class CartGiftRules {
+  static SOURCE = 'cart-gift-rules';
+  // line item property marking gift lines, its value is the id of the rule that added the line
+  static PROPERTY = '_free_gift';
+
+  static #rules = null;
+  static #updating = false;
+  static #stale = false;
+  // rule id => lines of the cart the rule's gift couldn't be added to, e.g. when it's sold out,
+  // it's only tried again once those lines change
+  static #failedAdditions = new Map();
+
+  static get rules() {
+    if (CartGiftRules.#rules === null) {
+      const rules = document.getElementById('cart-gift-rules');
+      CartGiftRules.#rules = rules ? JSON.parse(rules.textContent) : [];
+    }
+
+    return CartGiftRules.#rules;
+  }
+
+  static evaluate() {
+    // a cart change made while gifts are being updated is evaluated once they are done
+    if (CartGiftRules.#updating) {
+      CartGiftRules.#stale = true;
+      return;
+    }
+
+    const cart = CartStore.state;
+    if (!cart) return;
+
+    const { updates, additions } = CartGiftRules.changesFor(cart);
+    if (!Object.keys(updates).length && !additions.length) return;
+
+    CartGiftRules.#updating = true;
+    const options = { source: CartGiftRules.SOURCE };
+    let request = Promise.resolve();
+    if (Object.keys(updates).length) request = request.then(() => CartStore.update({ updates }, options));
+    // gifts are added one at a time, so one that can't be added doesn't keep the others out
+    const lines = CartGiftRules.linesOf(cart);
+    additions.forEach((addition) => {
+      request = request
+        .then(() => CartStore.add({ items: [addition] }, options))
+        .then((response) => {
+          if (response.status) CartGiftRules.#failedAdditions.set(addition.properties[CartGiftRules.PROPERTY], lines);
+        });
+    });
+
+    request
+      .then(() => publish(PUB_SUB_EVENTS.cartUpdate, { source: CartGiftRules.SOURCE, cartData: CartStore.state }))
+      .catch((e) => {
+        console.error(e);
+      })
+      .finally(() => {
+        CartGiftRules.#updating = false;
+        if (!CartGiftRules.#stale) return;
+
+        CartGiftRules.#stale = false;
+        CartGiftRules.evaluate();
+      });
+  }
+
+  static isGift(item) {
+    return !!item.properties?.[CartGiftRules.PROPERTY];
+  }
+
+  static linesOf(cart) {
+    return cart.items
+      .filter((item) => !CartGiftRules.isGift(item))
+      .map(({ key, quantity }) => `${key}:${quantity}`)
+      .join(',');
+  }
+
+  // thresholds are compared to the value of everything but the gifts, converted to the customer's currency
+  static changesFor(cart) {
+    const rate = parseFloat(window.Shopify.currency?.rate) || 1;
+    const { isGift } = CartGiftRules;
+    const lines = CartGiftRules.linesOf(cart);
+    const subtotal = cart.items
+      .filter((item) => !isGift(item))
+      .reduce((total, item) => total + item.final_line_price, 0);
+
+    const updates = {};
+    const additions = [];
+    CartGiftRules.rules.forEach((rule) => {
+      const ruleId = String(rule.id);
+      const giftLine = cart.items.find((item) => item.properties?.[CartGiftRules.PROPERTY] === ruleId);
+      const matches = cart.item_count > 0 && subtotal >= Math.ceil(rule.threshold * rate);
+
+      if (matches && !giftLine) {
+        if (CartGiftRules.#failedAdditions.get(ruleId) === lines) return;
+        additions.push({ id: rule.variant_id, quantity: 1, properties: { [CartGiftRules.PROPERTY]: ruleId } });
+      } else if (giftLine && (!matches || giftLine.quantity !== 1)) {
+        updates[giftLine.key] = matches ? 1 : 0;
+      }
+    });
+
+    // gifts of rules that have since been removed
+    cart.items
+      .filter(
+        (item) =>
+          isGift(item) &&
+          !CartGiftRules.rules.some((rule) => String(rule.id) === item.properties[CartGiftRules.PROPERTY])
+      )
+      .forEach((item) => (updates[item.key] = 0));
+
+    return { updates, additions };
+  }
+}
+
+CartStore.BACKGROUND_SOURCES.push(CartGiftRules.SOURCE);
+
+// changes from other tabs are left to the tab that made them, which updates the gifts for both
+subscribe(PUB_SUB_EVENTS.cartUpdate, ({ source }) => {
+  if (source === CartGiftRules.SOURCE || source === CartStore.SYNC_SOURCE) return;
+  CartGiftRules.evaluate();
+});
+
+CartGiftRules.evaluate();
@@ -0,0 +1,163 @@
+if (!customElements.get('cart-order-rules')) {
+  customElements.define(
+    'cart-order-rules',
+    class CartOrderRules extends HTMLElement {
+      static DYNAMIC_CHECKOUT_BUTTONS = '.cart__dynamic-checkout-buttons';
+      // product id => lowercase tags, shared by the cart page and drawer since the cart JSON has no tags
+      static productTags = new Map();
+
+      static setProductTags(productId, tags) {
+        const lowercaseTags = tags.map((tag) => tag.toLowerCase());
+        CartOrderRules.productTags.set(productId, lowercaseTags);
+      }
+
+      // Rules are dropped unless their values can be enforced, a `multiple` of 0 would otherwise break every
+      // quantity and a missing `max` none. This also drops the null the theme settings rules end with.
+      static isValid(rule) {
+        const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+        switch (rule?.type) {
+          case 'minimum_total':
+            return Number.isFinite(rule.amount) && rule.amount > 0;
+          case 'maximum_per_product':
+            return typeof rule.tag === 'string' && rule.tag !== '' && isPositiveInteger(rule.max);
+          case 'case_pack':
+            return typeof rule.tag === 'string' && rule.tag !== '' && isPositiveInteger(rule.multiple);
+          default:
+            return false;
+        }
+      }
+
+      connectedCallback() {
+        this.rules = JSON.parse(this.querySelector('[data-rules]').textContent).filter(CartOrderRules.isValid);
+        Object.entries(JSON.parse(this.querySelector('[data-product-tags]').textContent)).forEach(([id, tags]) =>
+          CartOrderRules.setProductTags(Number(id), tags)
+        );
+
+        this.cartStateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartStateChange, ({ cart }) => this.update(cart));
+        this.update(CartStore.state);
+      }
+
+      disconnectedCallback() {
+        this.cartStateUnsubscriber();
+      }
+
+      // amounts are set in the store's default currency, cart totals are in the customer's
+      get currencyRate() {
+        return parseFloat(window.Shopify.currency?.rate) || 1;
+      }
+
+      update(cart) {
+        if (!cart) return;
+
+        const renderCount = (this.renderCount = (this.renderCount || 0) + 1);
+        this.loadTags(cart).then(() => {
+          // a newer cart was rendered while the tags were loading
+          if (renderCount !== this.renderCount) return;
+          this.render(cart, this.violations(cart));
+        });
+      }
+
+      loadTags(cart) {
+        const missingProducts = cart.items.filter(({ product_id }) => !CartOrderRules.productTags.has(product_id));
+        if (!missingProducts.length || !this.rules.some(({ tag }) => tag)) return Promise.resolve();
+
+        const rootUrl = routes.root_url.replace(/\/$/, '');
+        return Promise.all(
+          missingProducts.map(({ product_id, handle }) =>
+            fetch(`${rootUrl}/products/${encodeURIComponent(handle)}.js`)
+              .then((response) => response.json())
+              .then(({ tags }) => CartOrderRules.setProductTags(product_id, tags))
+              .catch(() => CartOrderRules.setProductTags(product_id, []))
+          )
+        );
+      }
+
+      // returns the messages of the rules the cart breaks
+      violations(cart) {
+        if (cart.item_count === 0) return [];
+
+        return this.rules.flatMap((rule) => {
+          switch (rule.type) {
+            case 'minimum_total': {
+              const minimum = Math.ceil(rule.amount * this.currencyRate);
+              if (cart.total_price >= minimum) return [];
+
+              return [
+                window.cartStrings.orderMinimum
+                  .replace('[amount]', formatMoney(minimum))
+                  .replace('[remaining]', formatMoney(minimum - cart.total_price)),
+              ];
+            }
+            case 'maximum_per_product':
+              return this.productQuantities(cart, rule.tag)
+                .filter(({ quantity }) => quantity > rule.max)
+                .map(({ title }) =>
+                  window.cartStrings.orderMaximum.replace('[max]', rule.max).replace('[title]', this.escape(title))
+                );
+            case 'case_pack':
+              return this.productQuantities(cart, rule.tag)
+                .filter(({ quantity }) => quantity % rule.multiple !== 0)
+                .map(({ title }) =>
+                  window.cartStrings.orderCasePack
+                    .replace(/\[multiple\]/g, rule.multiple)
+                    .replace('[title]', this.escape(title))
+                );
+            default:
+              return [];
+          }
+        });
+      }
+
+      // messages are HTML for the money format, product titles are escaped into them
+      escape(text) {
+        const element = document.createElement('span');
+        element.textContent = text;
+        return element.innerHTML;
+      }
+
+      // quantities are added up across the variants of each product with the tag
+      productQuantities(cart, tag) {
+        const products = new Map();
+        cart.items
+          .filter(({ product_id }) => CartOrderRules.productTags.get(product_id)?.includes(tag.toLowerCase()))
+          .forEach(({ product_id, product_title, quantity }) => {
+            const product = products.get(product_id) || { title: product_title, quantity: 0 };
+            product.quantity += quantity;
+            products.set(product_id, product);
+          });
+
+        return [...products.values()];
+      }
+
+      render(cart, messages) {
+        this.querySelector('.cart-order-rules__messages').replaceChildren(
+          ...messages.map((message) => {
+            const item = document.createElement('li');
+            item.className = 'cart-order-rules__message';
+            item.innerHTML = message;
+            return item;
+          })
+        );
+
+        const blocked = messages.length > 0;
+        const checkoutButton = document.getElementById(this.dataset.checkoutButton);
+        if (checkoutButton) {
+          checkoutButton.toggleAttribute('disabled', blocked || cart.item_count === 0);
+          if (blocked) {
+            checkoutButton.setAttribute('aria-describedby', this.querySelector('.cart-order-rules__messages').id);
+          } else {
+            checkoutButton.removeAttribute('aria-describedby');
+          }
+        }
+
+        // accelerated checkouts can't be disabled, they're hidden instead
+        if (!this.closest('cart-drawer')) {
+          document
+            .querySelectorAll(CartOrderRules.DYNAMIC_CHECKOUT_BUTTONS)
+            .forEach((buttons) => buttons.classList.toggle('hidden', blocked));
+        }
+      }
+    }
+  );
+}
@@ -0,0 +1,252 @@
+// Shared cart links carry the lines of a cart in a `cart` param, e.g. /cart?cart=<token>. The token is the
+// base64url encoded JSON of `[handle, variant id, quantity, properties, selling plan id]` for each line,
+// trailing empty values left out. Gifts are left out too, the gift rules add them back.
+class CartShare {
+  static PARAM = 'cart';
+
+  static urlFor(cart) {
+    const lines = cart.items
+      .filter((item) => !item.properties?._free_gift)
+      .map(({ handle, variant_id, quantity, properties, selling_plan_allocation }) => {
+        const line = [
+          handle,
+          variant_id,
+          quantity,
+          properties && Object.keys(properties).length ? properties : null,
+          selling_plan_allocation?.selling_plan.id || null,
+        ];
+        while (line[line.length - 1] === null) line.pop();
+        return line;
+      });
+
+    const url = new URL(routes.cart_url, window.shopUrl);
+    url.searchParams.set(CartShare.PARAM, CartShare.encode(lines));
+    return url.toString();
+  }
+
+  static encode(lines) {
+    const bytes = new TextEncoder().encode(JSON.stringify(lines));
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  // throws when the token isn't one of ours, lines that don't make sense are dropped
+  static decode(token) {
+    const binary = atob(token.replace(/-/g, '+').replace(/_/g, '/'));
+    const lines = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0))));
+    if (!Array.isArray(lines)) throw new Error('Invalid cart link');
+
+    return lines
+      .filter(
+        (line) =>
+          Array.isArray(line) && typeof line[0] === 'string' && Number.isInteger(line[1]) && Number.isInteger(line[2])
+      )
+      .map(([handle, id, quantity, properties, selling_plan]) => ({
+        handle,
+        id,
+        quantity: Math.max(quantity, 1),
+        properties: properties || {},
+        selling_plan: selling_plan || undefined,
+      }));
+  }
+}
+
+class CartShareLink extends HTMLElement {
+  connectedCallback() {
+    this.cartStateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartStateChange, ({ cart }) => this.update(cart));
+    this.update(CartStore.state);
+  }
+
+  disconnectedCallback() {
+    this.cartStateUnsubscriber();
+  }
+
+  update(cart) {
+    if (!cart) return;
+
+    this.classList.toggle('hidden', cart.item_count === 0);
+    const shareButton = this.querySelector('share-button');
+    customElements.whenDefined('share-button').then(() => shareButton.updateUrl(CartShare.urlFor(cart)));
+  }
+}
+
+customElements.define('cart-share', CartShareLink);
+
+class CartImport extends ModalDialog {
+  constructor() {
+    super();
+
+    this.querySelectorAll('[data-action]').forEach((button) =>
+      button.addEventListener('click', () => this.import(button.dataset.action === 'replace'))
+    );
+  }
+
+  connectedCallback() {
+    // ModalDialog moves the element to the body, which connects it a second time
+    super.connectedCallback();
+    if (this.initialized) return;
+    this.initialized = true;
+
+    const token = new URLSearchParams(window.location.search).get(CartShare.PARAM);
+    if (!token) return;
+
+    try {
+      this.lines = CartShare.decode(token);
+    } catch (e) {
+      this.lines = [];
+    }
+
+    this.loadPreview().then(() => this.show());
+  }
+
+  hide() {
+    super.hide();
+
+    // the dialog isn't offered again when the page is reloaded
+    const url = new URL(window.location.href);
+    url.searchParams.delete(CartShare.PARAM);
+    window.history.replaceState(window.history.state, '', url.toString());
+  }
+
+  // prices and availability come from the products as they are now, not from when the link was made
+  loadPreview() {
+    const handles = [...new Set(this.lines.map(({ handle }) => handle))];
+    const rootUrl = routes.root_url.replace(/\/$/, '');
+
+    return Promise.all(
+      handles.map((handle) =>
+        fetch(`${rootUrl}/products/${encodeURIComponent(handle)}.js`)
+          .then((response) => (response.ok ? response.json() : null))
+          .catch(() => null)
+      )
+    ).then((products) => {
+      this.lines = this.lines.map((line) => {
+        const product = products[handles.indexOf(line.handle)];
+        return { ...line, product, variant: product?.variants.find((variant) => variant.id === line.id) };
+      });
+      this.render();
+    });
+  }
+
+  get availableLines() {
+    return this.lines.filter(({ variant }) => variant?.available);
+  }
+
+  render() {
+    const template = this.querySelector('template').content.firstElementChild;
+    const rows = this.lines.map(({ handle, quantity, product, variant }) => {
+      const row = template.cloneNode(true);
+      const image = variant?.featured_image?.src || product?.featured_image;
+      if (image) {
+        const imageUrl = new URL(image, window.location.href);
+        imageUrl.searchParams.set('width', 120);
+        const img = document.createElement('img');
+        Object.assign(img, { src: imageUrl.toString(), alt: '', width: 60, height: 60, loading: 'lazy' });
+        row.querySelector('.cart-import__media').appendChild(img);
+      }
+
+      row.querySelector('.cart-import__title').textContent = product?.title || handle;
+      const variantTitle = row.querySelector('.cart-import__variant');
+      if (variant && product.variants.length > 1) {
+        variantTitle.textContent = variant.title;
+      } else {
+        variantTitle.remove();
+      }
+      row.querySelector('.cart-import__quantity').textContent = this.dataset.quantityLabel.replace(
+        '[quantity]',
+        quantity
+      );
+      if (variant) row.querySelector('.cart-import__price').innerHTML = formatMoney(variant.price * quantity);
+      row.querySelector('.cart-import__unavailable').hidden = !!variant?.available;
+
+      return row;
+    });
+    this.querySelector('.cart-import__items').replaceChildren(...rows);
+
+    if (!this.lines.length) {
+      this.setError(this.dataset.invalid);
+    } else if (!this.availableLines.length) {
+      this.setError(this.dataset.noneAvailable);
+    }
+    this.querySelector('[data-action="merge"]').hidden = !this.availableLines.length;
+    this.querySelector('[data-action="replace"]').hidden = !this.availableLines.length || !CartStore.state?.item_count;
+  }
+
+  import(replace) {
+    const cartItems = document.querySelector('cart-items');
+    const items = this.availableLines.map(({ id, quantity, properties, selling_plan }) => ({
+      id,
+      quantity,
+      properties,
+      selling_plan,
+    }));
+
+    const sections = {
+      sections: cartItems.getSectionsToRender().map((section) => section.section),
+      sections_url: window.location.pathname,
+    };
+    // put back when the imported lines can't be added after the cart was cleared
+    const previousItems = replace
+      ? CartStore.state.items.map(({ variant_id, quantity, properties, selling_plan_allocation }) => ({
+          id: variant_id,
+          quantity,
+          properties,
+          selling_plan: selling_plan_allocation?.selling_plan.id,
+        }))
+      : [];
+
+    this.setError();
+    this.setLoading(true);
+
+    // the cart is rendered once, after the lines were added, so the clear isn't picked up by CartItems
+    const clearCart = previousItems.length
+      ? CartStore.update(
+          { updates: Object.fromEntries(CartStore.state.items.map(({ key }) => [key, 0])) },
+          { source: 'cart-items' }
+        )
+      : Promise.resolve();
+
+    let failed = false;
+    clearCart
+      .then(() => CartStore.add({ items, ...sections }, { source: 'cart-items' }))
+      .then((response) => {
+        if (!response.status) return response;
+
+        failed = true;
+        this.setError(response.description || window.cartStrings.error);
+        if (previousItems.length) return CartStore.add({ items: previousItems, ...sections }, { source: 'cart-items' });
+      })
+      .then((response) => {
+        if (!response) return;
+
+        // the cleared lines couldn't all be put back, the cart is rendered as it now is
+        if (response.status) {
+          cartItems.onCartUpdate();
+        } else {
+          cartItems.renderSections({ ...CartStore.state, sections: response.sections });
+        }
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: CartStore.state });
+        if (!failed) this.hide();
+      })
+      .catch(() => {
+        this.setError(window.cartStrings.error);
+        cartItems.onCartUpdate();
+      })
+      .finally(() => this.setLoading(false));
+  }
+
+  setLoading(loading) {
+    this.querySelector('[role="dialog"]').setAttribute('aria-busy', loading);
+    this.querySelectorAll('[data-action]').forEach((button) => button.toggleAttribute('disabled', loading));
+  }
+
+  setError(message = '') {
+    const error = this.querySelector('.cart-import__error');
+    error.querySelector('.cart-import__error-text').textContent = message;
+    error.hidden = !message;
+  }
+}
+
+customElements.define('cart-import', CartImport);
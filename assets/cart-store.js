@@ -0,0 +1,260 @@
+class CartStore {
+  static BATCH_DELAY = ON_CHANGE_DEBOUNCE_TIMER;
+  static MAX_RETRIES = 3;
+  static RETRY_DELAY = 500;
+  static SYNC_KEY = 'cart-sync';
+  static SYNC_SOURCE = 'cart-sync';
+  // sources of changes made outside of the flows that re-render the header, e.g. in another tab
+  static BACKGROUND_SOURCES = [CartStore.SYNC_SOURCE];
+
+  static #state = null;
+  static #queue = Promise.resolve();
+  static #batches = new Map();
+  static #channel = CartStore.#openChannel();
+
+  // the cart rendered with the page is embedded in layout/theme.liquid so the first mutation can already be diffed
+  static get state() {
+    if (CartStore.#state === null) {
+      const initialState = document.getElementById('cart-state');
+      if (initialState) CartStore.#state = JSON.parse(initialState.textContent);
+    }
+
+    return CartStore.#state;
+  }
+
+  static refresh(options = {}) {
+    return CartStore.#enqueue(() => CartStore.#fetchCart(options));
+  }
+
+  static add(body, options = {}) {
+    return CartStore.#enqueue(() =>
+      CartStore.#post(routes.cart_add_url, body).then((response) => {
+        if (response.status) return response;
+
+        // /cart/add only answers with the added line items, so the full cart has to be fetched again
+        return CartStore.#fetchCart(options).then(() => response);
+      })
+    );
+  }
+
+  static change(body, options = {}) {
+    return CartStore.#enqueue(() => CartStore.#post(routes.cart_change_url, body).then(CartStore.#commitWith(options)));
+  }
+
+  static update(body, options = {}) {
+    return CartStore.#enqueue(() => CartStore.#post(routes.cart_update_url, body).then(CartStore.#commitWith(options)));
+  }
+
+  // Line edits made within BATCH_DELAY of each other are merged into one /cart/update request.
+  // `updates` is keyed by line item key or variant id, like the `updates` param of /cart/update.
+  // Each caller gets back the cart plus its own lines (null once removed), or the server's error. When the merged
+  // request fails, each caller's edits are sent again on their own so one bad line doesn't fail the others.
+  static batchUpdate(updates, { sections = [], sections_url = window.location.pathname, source } = {}) {
+    return new Promise((resolve, reject) => {
+      let batch = CartStore.#batches.get(sections_url);
+      if (!batch) {
+        batch = { updates: {}, sections: new Set(), sources: new Set(), callers: [] };
+        CartStore.#batches.set(sections_url, batch);
+        setTimeout(() => CartStore.#flushBatch(sections_url), CartStore.BATCH_DELAY);
+      }
+
+      Object.assign(batch.updates, updates);
+      sections.forEach((section) => batch.sections.add(section));
+      batch.sources.add(source);
+      batch.callers.push({ updates, resolve, reject });
+    });
+  }
+
+  // for cart JSON obtained outside of the store, e.g. from another tab
+  static setState(cart, options = {}) {
+    return CartStore.#commit(cart, options);
+  }
+
+  static diff(previousCart, cart) {
+    const previousItems = new Map((previousCart?.items || []).map((item) => [item.key, item]));
+    const currentItems = new Map((cart?.items || []).map((item) => [item.key, item]));
+
+    const added = [...currentItems.values()].filter((item) => !previousItems.has(item.key));
+    const removed = [...previousItems.values()].filter((item) => !currentItems.has(item.key));
+    const changed = [...currentItems.values()]
+      .filter((item) => previousItems.has(item.key))
+      .map((item) => ({ item, previous: previousItems.get(item.key) }))
+      .filter(
+        ({ item, previous }) =>
+          item.quantity !== previous.quantity ||
+          item.final_line_price !== previous.final_line_price ||
+          item.original_line_price !== previous.original_line_price
+      );
+
+    const totalsChanged =
+      previousCart?.item_count !== cart?.item_count ||
+      previousCart?.total_price !== cart?.total_price ||
+      previousCart?.original_total_price !== cart?.original_total_price ||
+      previousCart?.total_discount !== cart?.total_discount;
+
+    return {
+      added,
+      removed,
+      changed,
+      totalsChanged,
+      // every line touched by the update, in its latest known state
+      lines: [...added, ...removed, ...changed.map(({ item }) => item)],
+      isEmpty: added.length === 0 && removed.length === 0 && changed.length === 0 && !totalsChanged,
+    };
+  }
+
+  // Other tabs are told about every change so their cart UI doesn't go stale. BroadcastChannel isn't
+  // available everywhere, in which case the `storage` event of a localStorage write carries the cart instead.
+  static #openChannel() {
+    if (!('BroadcastChannel' in window)) {
+      window.addEventListener('storage', ({ key, newValue }) => {
+        if (key === CartStore.SYNC_KEY && newValue) CartStore.#receive(JSON.parse(newValue).cart);
+      });
+      return null;
+    }
+
+    const channel = new BroadcastChannel(CartStore.SYNC_KEY);
+    channel.addEventListener('message', ({ data }) => CartStore.#receive(data.cart));
+    return channel;
+  }
+
+  static #broadcast(cart) {
+    if (CartStore.#channel) {
+      CartStore.#channel.postMessage({ cart });
+      return;
+    }
+
+    try {
+      // the timestamp makes every write a change, identical values don't fire the storage event
+      localStorage.setItem(CartStore.SYNC_KEY, JSON.stringify({ cart, timestamp: Date.now() }));
+    } catch (e) {
+      // storage is full or disabled, other tabs will catch up on their next cart request
+    }
+  }
+
+  static #receive(cart) {
+    CartStore.setState(cart, { source: CartStore.SYNC_SOURCE }).then(() =>
+      publish(PUB_SUB_EVENTS.cartUpdate, { source: CartStore.SYNC_SOURCE, cartData: cart })
+    );
+  }
+
+  static #enqueue(task) {
+    const result = CartStore.#queue.then(task);
+    CartStore.#queue = result.catch(() => {});
+    return result;
+  }
+
+  static #flushBatch(sectionsUrl) {
+    const batch = CartStore.#batches.get(sectionsUrl);
+    CartStore.#batches.delete(sectionsUrl);
+
+    const body = { updates: batch.updates };
+    if (batch.sections.size) {
+      body.sections = [...batch.sections];
+      body.sections_url = sectionsUrl;
+    }
+    // only skip the source's own subscribers when the whole batch came from it
+    const source = batch.sources.size === 1 ? [...batch.sources][0] : undefined;
+
+    CartStore.update(body, { source })
+      .then((response) => {
+        if (CartStore.#isError(response) && batch.callers.length > 1) {
+          batch.callers.forEach(({ updates, resolve, reject }) =>
+            CartStore.update({ ...body, updates }, { source })
+              .then((response) => resolve(CartStore.#batchResult(response, updates)))
+              .catch(reject)
+          );
+          return;
+        }
+
+        batch.callers.forEach(({ updates, resolve }) => resolve(CartStore.#batchResult(response, updates)));
+      })
+      .catch((error) => batch.callers.forEach(({ reject }) => reject(error)));
+  }
+
+  static #isError(response) {
+    return Boolean(response.status || response.errors);
+  }
+
+  static #batchResult(response, updates) {
+    if (CartStore.#isError(response)) {
+      return { errors: response.errors || response.description || response.message, lines: {} };
+    }
+
+    const lines = Object.keys(updates).reduce((lines, id) => {
+      const item = response.items.find((item) => item.key === id || item.variant_id.toString() === id);
+      return { ...lines, [id]: item || null };
+    }, {});
+    return { cart: response, lines };
+  }
+
+  static #post(url, body, attempt = 0) {
+    let config = fetchConfig();
+
+    if (body instanceof FormData) {
+      config = fetchConfig('javascript');
+      config.headers['X-Requested-With'] = 'XMLHttpRequest';
+      delete config.headers['Content-Type'];
+      config.body = body;
+    } else {
+      config.body = JSON.stringify(body);
+    }
+
+    return fetch(url, config).then((response) => {
+      if (response.status !== 429 || attempt >= CartStore.MAX_RETRIES) return response.json();
+
+      // throttled: wait as long as the server asks, or back off exponentially
+      const retryAfter = parseFloat(response.headers.get('Retry-After')) * 1000;
+      const delay = retryAfter || CartStore.RETRY_DELAY * 2 ** attempt;
+      return new Promise((resolve) => setTimeout(resolve, delay)).then(() => CartStore.#post(url, body, attempt + 1));
+    });
+  }
+
+  static #fetchCart(options) {
+    return fetch(`${routes.cart_url}.js`, { headers: { Accept: 'application/json' } })
+      .then((response) => response.json())
+      .then((cart) => {
+        CartStore.#commit(cart, options);
+        return cart;
+      });
+  }
+
+  static #commitWith(options) {
+    return (response) => {
+      if (!response.status && !response.errors && response.items) CartStore.#commit(response, options);
+      return response;
+    };
+  }
+
+  static #commit(response, { source } = {}) {
+    const { sections, ...cart } = response;
+    const previousCart = CartStore.state;
+    const diff = CartStore.diff(previousCart, cart);
+    CartStore.#state = cart;
+
+    if (source !== CartStore.SYNC_SOURCE && !diff.isEmpty) CartStore.#broadcast(cart);
+
+    return publish(PUB_SUB_EVENTS.cartStateChange, {
+      source,
+      cart,
+      previousCart,
+      diff,
+    });
+  }
+}
+
+// the header is only re-rendered by the flows that change the cart, background changes refresh it here
+subscribe(PUB_SUB_EVENTS.cartUpdate, ({ source }) => {
+  if (!CartStore.BACKGROUND_SOURCES.includes(source)) return;
+
+  fetch(`${routes.cart_url}?section_id=cart-icon-bubble`)
+    .then((response) => response.text())
+    .then((responseText) => {
+      const cartIconBubble = document.getElementById('cart-icon-bubble');
+      const html = new DOMParser().parseFromString(responseText, 'text/html');
+      if (cartIconBubble) cartIconBubble.innerHTML = html.querySelector('.shopify-section').innerHTML;
+    })
+    .catch((e) => {
+      console.error(e);
+    });
+});
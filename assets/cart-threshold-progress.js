@@ -0,0 +1,52 @@
+if (!customElements.get('cart-threshold-progress')) {
+  customElements.define(
+    'cart-threshold-progress',
+    class CartThresholdProgress extends HTMLElement {
+      connectedCallback() {
+        const markers = this.querySelectorAll('.cart-threshold__marker');
+        this.tiers = JSON.parse(this.querySelector('[data-tiers]').textContent)
+          .map((tier, index) => ({ ...tier, marker: markers[index] }))
+          .sort((a, b) => a.threshold - b.threshold);
+
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, () => this.render(CartStore.state));
+        this.render(CartStore.state);
+      }
+
+      disconnectedCallback() {
+        this.cartUpdateUnsubscriber();
+      }
+
+      // thresholds are set in the store's default currency, cart totals are in the customer's
+      get currencyRate() {
+        return parseFloat(window.Shopify.currency?.rate) || 1;
+      }
+
+      render(cart) {
+        if (!cart) return;
+
+        const thresholds = this.tiers.map(({ threshold }) => Math.ceil(threshold * this.currencyRate));
+        const highestThreshold = thresholds[thresholds.length - 1];
+        const nextTier = thresholds.findIndex((threshold) => cart.total_price < threshold);
+
+        this.classList.toggle('hidden', cart.item_count === 0);
+        // the message is a live region, it's only replaced when the tier or the amount left changes
+        const message =
+          nextTier === -1
+            ? this.tiers[this.tiers.length - 1].reached
+            : this.tiers[nextTier].remaining.replace('[amount]', formatMoney(thresholds[nextTier] - cart.total_price));
+        if (message !== this.message) {
+          this.message = message;
+          this.querySelector('.cart-threshold__message').innerHTML = message;
+        }
+        this.querySelector('.progress-bar-value').style.width = `${
+          Math.min(cart.total_price / highestThreshold, 1) * 100
+        }%`;
+
+        this.tiers.forEach(({ marker }, index) => {
+          marker.style.left = `${(thresholds[index] / highestThreshold) * 100}%`;
+          marker.classList.toggle('cart-threshold__marker--reached', cart.total_price >= thresholds[index]);
+        });
+      }
+    }
+  );
+}
@@ -13,23 +13,89 @@ class CartRemoveButton extends HTMLElement {
 customElements.define('cart-remove-button', CartRemoveButton);
 
 class CartItems extends HTMLElement {
+  static UNDO_TIMEOUT = 8000;
+  // line key => { item, timeout } of removed lines that can still be restored, shared by the cart page and drawer
+  static removedLines = new Map();
+
+  static rememberRemovedLine(item) {
+    CartItems.removedLines.set(item.key, {
+      item,
+      timeout: setTimeout(() => CartItems.forgetRemovedLine(item.key), CartItems.UNDO_TIMEOUT),
+    });
+    CartItems.renderUndoRows();
+  }
+
+  static forgetRemovedLine(key) {
+    clearTimeout(CartItems.removedLines.get(key)?.timeout);
+    CartItems.removedLines.delete(key);
+    CartItems.renderUndoRows();
+  }
+
+  static renderUndoRows() {
+    document.querySelectorAll('[data-cart-undo]').forEach((container) => {
+      const template = container.querySelector('template').content.firstElementChild;
+      const rows = [...CartItems.removedLines.values()].map(({ item }) => {
+        const row = template.cloneNode(true);
+        row.querySelector('.cart__undo-text').textContent = window.cartStrings.itemRemoved.replace(
+          '[title]',
+          item.product_title
+        );
+        row.querySelector('.cart__undo-button').addEventListener('click', () => CartItems.restoreLine(item.key));
+        return row;
+      });
+
+      container.querySelector('.cart__undo-list').replaceChildren(...rows);
+    });
+  }
+
+  // quantity of the line's variant in one bundle, see snippets/cart-bundle-line.liquid
+  static bundleUnits(item) {
+    return Math.max(parseInt(item.properties?._bundle_units) || 1, 1);
+  }
+
+  static restoreLine(key) {
+    const item = CartItems.removedLines.get(key)?.item;
+    if (!item) return;
+
+    CartItems.forgetRemovedLine(key);
+    const cartItems = document.querySelector('cart-items') || document.querySelector('cart-drawer-items');
+
+    cartItems
+      .addLine({
+        variant_id: item.variant_id,
+        quantity: item.quantity,
+        properties: item.properties,
+        selling_plan: item.selling_plan_allocation?.selling_plan.id,
+      })
+      .then((response) => {
+        if (response.status) {
+          cartItems.announce(response.description || window.cartStrings.error);
+          return;
+        }
+
+        cartItems.renderSections({ ...CartStore.state, sections: response.sections });
+        cartItems.announce(window.cartStrings.itemRestored.replace('[title]', item.product_title));
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: CartStore.state });
+      })
+      .catch(() => cartItems.announce(window.cartStrings.error));
+  }
+
   constructor() {
     super();
     this.lineItemStatusElement =
       document.getElementById('shopping-cart-line-item-status') || document.getElementById('CartDrawer-LineItemStatus');
 
-    const debouncedOnChange = debounce((event) => {
-      this.onChange(event);
-    }, ON_CHANGE_DEBOUNCE_TIMER);
-
-    this.addEventListener('change', debouncedOnChange.bind(this));
+    // edits to several lines are merged by CartStore.batchUpdate, so each change is sent as it comes
+    this.addEventListener('change', this.onChange.bind(this));
   }
 
   cartUpdateUnsubscriber = undefined;
+  // line key => { quantity, priceHTML } of quantity changes shown before the server confirmed them
+  pendingQuantities = new Map();
 
   connectedCallback() {
-    this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
-      if (event.source === 'cart-items') {
+    this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartStateChange, (event) => {
+      if (event.source === 'cart-items' || event.diff.isEmpty) {
         return;
       }
       return this.onCartUpdate();
@@ -43,7 +109,7 @@ class CartItems extends HTMLElement {
   }
 
   resetQuantityInput(id) {
-    const input = this.querySelector(`#Quantity-${id}`);
+    const input = this.querySelector(`#Quantity-${id}, #Drawer-quantity-${id}`);
     input.value = input.getAttribute('value');
     this.isEnterPressed = false;
   }
@@ -84,6 +150,8 @@ class CartItems extends HTMLElement {
   }
 
   onChange(event) {
+    // other fields of a line, like its variant editor, handle their own changes
+    if (!event.target.matches('.quantity__input')) return;
     this.validateQuantity(event);
   }
 
@@ -94,6 +162,7 @@ class CartItems extends HTMLElement {
         .then((responseText) => {
           const html = new DOMParser().parseFromString(responseText, 'text/html');
           const selectors = ['cart-drawer-items', '.cart-drawer__footer'];
+          document.querySelector('cart-drawer')?.classList.toggle('is-empty', CartStore.state.item_count === 0);
           for (const selector of selectors) {
             const targetElement = document.querySelector(selector);
             const sourceElement = html.querySelector(selector);
@@ -101,6 +170,7 @@ class CartItems extends HTMLElement {
               targetElement.replaceWith(sourceElement);
             }
           }
+          CartItems.renderUndoRows();
         })
         .catch((e) => {
           console.error(e);
@@ -112,6 +182,7 @@ class CartItems extends HTMLElement {
           const html = new DOMParser().parseFromString(responseText, 'text/html');
           const sourceQty = html.querySelector('cart-items');
           this.innerHTML = sourceQty.innerHTML;
+          CartItems.renderUndoRows();
         })
         .catch((e) => {
           console.error(e);
@@ -145,50 +216,53 @@ class CartItems extends HTMLElement {
   }
 
   updateQuantity(line, quantity, event, name, variantId) {
-    this.enableLoading(line);
+    const { bundleId } = this.getLineItem(line).dataset;
+    if (bundleId) return this.updateBundleQuantity(line, bundleId, quantity, event, name);
+
+    const key = this.getLineKey(line);
+    const removedItem = quantity === 0 ? CartStore.state?.items.find((item) => item.key === key) : undefined;
+    if (quantity === 0) {
+      this.enableLoading(line);
+    } else {
+      this.renderOptimisticQuantity(key, quantity);
+    }
 
-    const body = JSON.stringify({
-      line,
-      quantity,
-      sections: this.getSectionsToRender().map((section) => section.section),
-      sections_url: window.location.pathname,
-    });
     const eventTarget = event.currentTarget instanceof CartRemoveButton ? 'clear' : 'change';
 
-    fetch(`${routes.cart_change_url}`, { ...fetchConfig(), ...{ body } })
-      .then((response) => {
-        return response.text();
-      })
-      .then((state) => {
-        const parsedState = JSON.parse(state);
+    CartStore.batchUpdate(
+      { [key]: quantity },
+      {
+        sections: this.getSectionsToRender().map((section) => section.section),
+        sections_url: window.location.pathname,
+        source: 'cart-items',
+      }
+    )
+      .then(({ cart: parsedState, lines, errors }) => {
+        const quantityElement =
+          document.getElementById(`Quantity-${line}`) || document.getElementById(`Drawer-quantity-${line}`);
+
+        // nothing changed in the cart, so there's no update to publish
+        if (errors) {
+          quantityElement.value = quantityElement.getAttribute('value');
+          this.rollbackQuantity(key);
+          this.updateLiveRegions(line, errors);
+          this.announce(errors);
+          return;
+        }
 
         CartPerformance.measure(`${eventTarget}:paint-updated-sections"`, () => {
-          const quantityElement =
-            document.getElementById(`Quantity-${line}`) || document.getElementById(`Drawer-quantity-${line}`);
-          const items = document.querySelectorAll('.cart-item');
-
-          if (parsedState.errors) {
-            quantityElement.value = quantityElement.getAttribute('value');
-            this.updateLiveRegions(line, parsedState.errors);
-            return;
-          }
+          const items = document.querySelectorAll('.cart-item[data-key]');
 
-          this.classList.toggle('is-empty', parsedState.item_count === 0);
+          this.pendingQuantities.delete(key);
           const cartDrawerWrapper = document.querySelector('cart-drawer');
-          const cartFooter = document.getElementById('main-cart-footer');
 
-          if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
-          if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
+          this.renderSections(parsedState);
+          // edits still waiting on their own response were just overwritten by this one
+          this.pendingQuantities.forEach(({ quantity }, pendingKey) =>
+            this.renderOptimisticQuantity(pendingKey, quantity)
+          );
 
-          this.getSectionsToRender().forEach((section) => {
-            const elementToReplace =
-              document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
-            elementToReplace.innerHTML = this.getSectionInnerHTML(
-              parsedState.sections[section.section],
-              section.selector
-            );
-          });
-          const updatedValue = parsedState.items[line - 1] ? parsedState.items[line - 1].quantity : undefined;
+          const updatedValue = lines[key] ? lines[key].quantity : undefined;
           let message = '';
           if (items.length === parsedState.items.length && updatedValue !== parseInt(quantityElement.value)) {
             if (typeof updatedValue === 'undefined') {
@@ -199,6 +273,11 @@ class CartItems extends HTMLElement {
           }
           this.updateLiveRegions(line, message);
 
+          if (removedItem && !lines[key]) {
+            CartItems.rememberRemovedLine(removedItem);
+            this.announce(window.cartStrings.itemRemoved.replace('[title]', removedItem.product_title));
+          }
+
           const lineItem =
             document.getElementById(`CartItem-${line}`) || document.getElementById(`CartDrawer-Item-${line}`);
           if (lineItem && lineItem.querySelector(`[name="${name}"]`)) {
@@ -217,6 +296,7 @@ class CartItems extends HTMLElement {
         publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState, variantId: variantId });
       })
       .catch(() => {
+        this.rollbackQuantity(key);
         this.querySelectorAll('.loading__spinner').forEach((overlay) => overlay.classList.add('hidden'));
         const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
         errors.textContent = window.cartStrings.error;
@@ -226,6 +306,276 @@ class CartItems extends HTMLElement {
       });
   }
 
+  // Scales every line of a bundle to `quantity` bundles in one request, each line by its units per bundle.
+  // Removing a bundle isn't offered for undo, the lines would each get their own row.
+  updateBundleQuantity(line, bundleId, quantity, event, name) {
+    const bundleItems = CartStore.state.items.filter((item) => item.properties?._bundle_id === bundleId);
+    const bundleTitle = this.getLineItem(line).dataset.bundleTitle;
+    const updates = Object.fromEntries(bundleItems.map((item) => [item.key, CartItems.bundleUnits(item) * quantity]));
+    this.enableLoading(line);
+
+    const eventTarget = event.currentTarget instanceof CartRemoveButton ? 'clear' : 'change';
+
+    return CartStore.batchUpdate(updates, {
+      sections: this.getSectionsToRender().map((section) => section.section),
+      sections_url: window.location.pathname,
+      source: 'cart-items',
+    })
+      .then(({ cart: parsedState, lines, errors }) => {
+        if (errors) {
+          this.resetQuantityInput(line);
+          this.updateLiveRegions(line, errors);
+          this.announce(errors);
+          return;
+        }
+
+        const cartDrawerWrapper = document.querySelector('cart-drawer');
+        this.renderSections(parsedState);
+
+        // lines are capped at the available inventory, which can leave fewer bundles than asked for
+        const bundleQuantity = Math.min(
+          ...bundleItems.map((item) => Math.floor((lines[item.key]?.quantity || 0) / CartItems.bundleUnits(item)))
+        );
+        if (bundleQuantity !== quantity) {
+          this.updateLiveRegions(line, window.cartStrings.quantityError.replace('[quantity]', bundleQuantity));
+        } else if (quantity === 0) {
+          this.announce(window.cartStrings.itemRemoved.replace('[title]', bundleTitle));
+        }
+
+        const lineItem =
+          document.getElementById(`CartItem-${line}`) || document.getElementById(`CartDrawer-Item-${line}`);
+        const focusTarget = lineItem?.querySelector(name ? `[name="${name}"]` : '.quantity__input');
+        if (focusTarget) {
+          cartDrawerWrapper ? trapFocus(cartDrawerWrapper, focusTarget) : focusTarget.focus();
+        }
+
+        CartPerformance.measureFromEvent(`${eventTarget}:user-action`, event);
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState });
+      })
+      .catch(() => {
+        this.resetQuantityInput(line);
+        this.updateLiveRegions(line, window.cartStrings.error);
+      })
+      .finally(() => this.disableLoading(line));
+  }
+
+  // adds a line back with the same variant, quantity, selling plan and properties (e.g. gift card recipient),
+  // requesting the sections of this element so the caller can render them
+  addLine({ variant_id, quantity, properties, selling_plan }) {
+    return CartStore.add(
+      {
+        items: [{ id: variant_id, quantity, properties: properties || {}, selling_plan }],
+        sections: this.getSectionsToRender().map((section) => section.section),
+        sections_url: window.location.pathname,
+      },
+      { source: 'cart-items' }
+    );
+  }
+
+  // Moves the line to the saved for later list, it's only added to the list once it's out of the cart. The line
+  // is added back when the list can't be saved, and nothing is moved while the list couldn't be loaded.
+  saveForLater(line) {
+    const key = this.getLineKey(line);
+    const item = CartStore.state.items.find((item) => item.key === key);
+    this.enableLoading(line);
+
+    return SavedForLater.list.ready
+      .then(() => {
+        if (SavedForLater.list.failed) {
+          this.updateLiveRegions(line, window.cartStrings.error);
+          return;
+        }
+
+        return CartStore.change(
+          {
+            id: key,
+            quantity: 0,
+            sections: this.getSectionsToRender().map((section) => section.section),
+            sections_url: window.location.pathname,
+          },
+          { source: 'cart-items' }
+        ).then((parsedState) => {
+          if (parsedState.status || parsedState.errors) {
+            this.updateLiveRegions(line, parsedState.description || parsedState.errors || window.cartStrings.error);
+            return;
+          }
+
+          return SavedForLater.save(item)
+            .then(() => {
+              this.renderSections(parsedState);
+              this.announce(window.cartStrings.itemSaved.replace('[title]', item.product_title));
+            })
+            .catch(() =>
+              this.addLine(item).then((response) => {
+                this.renderSections(
+                  response.status ? parsedState : { ...CartStore.state, sections: response.sections }
+                );
+                this.announce(window.cartStrings.error);
+                const errors =
+                  document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
+                errors.textContent = window.cartStrings.error;
+              })
+            )
+            .then(() => publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: CartStore.state }));
+        });
+      })
+      .catch(() => this.updateLiveRegions(line, window.cartStrings.error))
+      .finally(() => this.disableLoading(line));
+  }
+
+  // the cart API can't change the variant of a line, so the new variant is added with the line's
+  // quantity, properties and selling plan before the old line is removed
+  changeVariant(line, variantId) {
+    const key = this.getLineKey(line);
+    const item = CartStore.state.items.find((item) => item.key === key);
+    this.enableLoading(line);
+
+    const body = {
+      items: [
+        {
+          id: variantId,
+          quantity: item.quantity,
+          properties: item.properties || {},
+          selling_plan: item.selling_plan_allocation?.selling_plan.id,
+        },
+      ],
+    };
+
+    return CartStore.add(body, { source: 'cart-items' })
+      .then((response) => {
+        if (response.status) return response;
+
+        return CartStore.change(
+          {
+            id: key,
+            quantity: 0,
+            sections: this.getSectionsToRender().map((section) => section.section),
+            sections_url: window.location.pathname,
+          },
+          { source: 'cart-items' }
+        );
+      })
+      .then((parsedState) => {
+        if (parsedState.status || parsedState.errors) {
+          this.updateLiveRegions(line, parsedState.description || parsedState.errors || window.cartStrings.error);
+          return false;
+        }
+
+        const cartDrawerWrapper = document.querySelector('cart-drawer');
+        this.renderSections(parsedState);
+
+        const newLine = parsedState.items.findIndex((item) => item.variant_id === variantId) + 1;
+        const lineItem =
+          document.getElementById(`CartItem-${newLine}`) || document.getElementById(`CartDrawer-Item-${newLine}`);
+        const toggle = lineItem?.querySelector('.cart-item__variant-editor-toggle');
+        if (toggle) cartDrawerWrapper ? trapFocus(cartDrawerWrapper, toggle) : toggle.focus();
+
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState, variantId });
+        return true;
+      })
+      .catch(() => {
+        this.updateLiveRegions(line, window.cartStrings.error);
+        return false;
+      })
+      .finally(() => this.disableLoading(line));
+  }
+
+  // `codes` replaces every code on the cart, so removing one means sending the others
+  updateDiscountCodes(codes) {
+    return CartStore.update(
+      {
+        discount: codes.join(','),
+        sections: this.getSectionsToRender().map((section) => section.section),
+        sections_url: window.location.pathname,
+      },
+      { source: 'cart-items' }
+    ).then((parsedState) => {
+      if (parsedState.status || parsedState.errors) return parsedState;
+
+      this.renderSections(parsedState);
+      publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState });
+      return parsedState;
+    });
+  }
+
+  renderSections(parsedState) {
+    this.classList.toggle('is-empty', parsedState.item_count === 0);
+    const cartDrawerWrapper = document.querySelector('cart-drawer');
+    const cartFooter = document.getElementById('main-cart-footer');
+
+    if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
+    if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
+
+    this.getSectionsToRender().forEach((section) => {
+      const elementToReplace =
+        document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
+      elementToReplace.innerHTML = this.getSectionInnerHTML(parsedState.sections[section.section], section.selector);
+    });
+    CartItems.renderUndoRows();
+  }
+
+  getLineItem(line) {
+    return this.querySelector(`#CartItem-${line}, #CartDrawer-Item-${line}`);
+  }
+
+  getLineKey(line) {
+    return this.getLineItem(line).dataset.key;
+  }
+
+  // Shows the new quantity, line total and cart total right away, priced from the cart JSON,
+  // until the response of the update re-renders the sections.
+  renderOptimisticQuantity(key, quantity) {
+    const item = CartStore.state?.items.find((item) => item.key === key);
+    const lineItem = this.querySelector(`.cart-item[data-key="${key}"]`);
+    if (!item || !lineItem) return;
+
+    const priceWrappers = lineItem.querySelectorAll('.cart-item__price-wrapper');
+    this.pendingQuantities.set(key, {
+      quantity,
+      priceHTML: this.pendingQuantities.get(key)?.priceHTML ?? [...priceWrappers].map(({ innerHTML }) => innerHTML),
+    });
+
+    lineItem.querySelector('.quantity__input').value = quantity;
+    priceWrappers.forEach((wrapper) => {
+      wrapper.innerHTML = `<span class="price price--end">${formatMoney(item.final_price * quantity)}</span>`;
+    });
+    this.renderOptimisticTotal();
+  }
+
+  renderOptimisticTotal() {
+    const cart = CartStore.state;
+    const totalPrice = [...this.pendingQuantities].reduce((total, [key, { quantity }]) => {
+      const item = cart.items.find((item) => item.key === key);
+      return item ? total - item.final_line_price + item.final_price * quantity : total;
+    }, cart.total_price);
+
+    document.querySelectorAll('.totals__total-value').forEach((total) => {
+      total.innerHTML = formatMoney(totalPrice, window.moneyFormats.moneyWithCurrency);
+    });
+  }
+
+  rollbackQuantity(key) {
+    const pending = this.pendingQuantities.get(key);
+    if (!pending) return;
+
+    this.pendingQuantities.delete(key);
+    this.querySelector(`.cart-item[data-key="${key}"]`)
+      ?.querySelectorAll('.cart-item__price-wrapper')
+      .forEach((wrapper, index) => (wrapper.innerHTML = pending.priceHTML[index]));
+    this.renderOptimisticTotal();
+  }
+
+  announce(message) {
+    const cartStatus =
+      document.getElementById('cart-live-region-text') || document.getElementById('CartDrawer-LiveRegionText');
+    cartStatus.textContent = message;
+    cartStatus.setAttribute('aria-hidden', false);
+
+    setTimeout(() => {
+      cartStatus.setAttribute('aria-hidden', true);
+    }, 1000);
+  }
+
   updateLiveRegions(line, message) {
     const lineItemError =
       document.getElementById(`Line-item-error-${line}`) || document.getElementById(`CartDrawer-LineItemError-${line}`);
@@ -273,6 +623,134 @@ class CartItems extends HTMLElement {
 
 customElements.define('cart-items', CartItems);
 
+class CartVariantEditor extends HTMLElement {
+  connectedCallback() {
+    this.variants = JSON.parse(this.querySelector('[data-variants]').textContent);
+    this.onOptionValueChangeUnsubscriber = subscribe(
+      PUB_SUB_EVENTS.optionValueSelectionChange,
+      this.onOptionValueChange.bind(this)
+    );
+  }
+
+  disconnectedCallback() {
+    this.onOptionValueChangeUnsubscriber();
+  }
+
+  onOptionValueChange({ data: { event } }) {
+    if (!this.contains(event.target)) return;
+
+    const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+    const selectedOptions = Array.from(this.querySelectorAll('select'), (select) => select.value);
+    const variant = this.variants.find(({ options }) =>
+      options.every((option, index) => option === selectedOptions[index])
+    );
+
+    if (!variant || !variant.available) {
+      cartItems.updateLiveRegions(
+        this.dataset.index,
+        variant ? window.variantStrings.soldOut : window.variantStrings.unavailable
+      );
+      return;
+    }
+
+    cartItems.updateLiveRegions(this.dataset.index, '');
+    if (variant.id === Number(this.dataset.variantId)) return;
+
+    cartItems.changeVariant(this.dataset.index, variant.id).then((changed) => {
+      if (!changed) this.reset();
+    });
+  }
+
+  reset() {
+    const { options } = this.variants.find((variant) => variant.id === Number(this.dataset.variantId));
+    this.querySelectorAll('select').forEach((select, index) => {
+      select.value = options[index];
+      select.querySelector('option[selected]')?.removeAttribute('selected');
+      select.selectedOptions[0].setAttribute('selected', 'selected');
+    });
+  }
+}
+
+customElements.define('cart-variant-editor', CartVariantEditor);
+
+class CartDiscount extends HTMLElement {
+  constructor() {
+    super();
+
+    this.querySelector('form').addEventListener('submit', this.onSubmit.bind(this));
+    this.addEventListener('click', (event) => {
+      const removeButton = event.target.closest('.cart-discount__remove');
+      if (!removeButton) return;
+
+      const removedCode = removeButton.closest('[data-code]').dataset.code;
+      this.updateCodes(this.appliedCodes.filter((code) => code !== removedCode));
+    });
+  }
+
+  get appliedCodes() {
+    return Array.from(this.querySelectorAll('[data-code]'), ({ dataset }) => dataset.code);
+  }
+
+  get cartItems() {
+    return this.closest('cart-drawer')
+      ? document.querySelector('cart-drawer-items')
+      : document.querySelector('cart-items');
+  }
+
+  onSubmit(event) {
+    event.preventDefault();
+    const newCode = this.querySelector('input[name="discount"]').value.trim();
+    if (!newCode) return;
+
+    if (this.appliedCodes.some((code) => code.toLowerCase() === newCode.toLowerCase())) {
+      this.setError(window.cartStrings.discountAlreadyApplied);
+      return;
+    }
+
+    this.updateCodes([...this.appliedCodes, newCode], newCode);
+  }
+
+  updateCodes(codes, newCode) {
+    this.setError();
+    this.setLoading(true);
+
+    this.cartItems
+      .updateDiscountCodes(codes)
+      .then((parsedState) => {
+        // a successful update re-renders the cart, including this element
+        const discount = document.getElementById(this.id) || this;
+
+        if (parsedState.status || parsedState.errors) {
+          discount.setError(window.cartStrings.error);
+          return;
+        }
+
+        const rejected = parsedState.discount_codes.some(
+          ({ code, applicable }) => !applicable && code.toLowerCase() === newCode?.toLowerCase()
+        );
+        if (rejected) {
+          discount.querySelector('input[name="discount"]').value = newCode;
+          discount.setError(window.cartStrings.discountError);
+        }
+      })
+      .catch(() => this.setError(window.cartStrings.error))
+      .finally(() => this.setLoading(false));
+  }
+
+  setLoading(loading) {
+    this.setAttribute('aria-busy', loading);
+    this.querySelectorAll('button').forEach((button) => button.toggleAttribute('disabled', loading));
+  }
+
+  setError(message = '') {
+    const error = this.querySelector('.cart-discount__error');
+    error.querySelector('.cart-discount__error-text').textContent = message;
+    error.toggleAttribute('hidden', !message);
+  }
+}
+
+customElements.define('cart-discount', CartDiscount);
+
 if (!customElements.get('cart-note')) {
   customElements.define(
     'cart-note',
@@ -283,12 +761,97 @@ if (!customElements.get('cart-note')) {
         this.addEventListener(
           'input',
           debounce((event) => {
-            const body = JSON.stringify({ note: event.target.value });
-            fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-              .then(() => CartPerformance.measureFromEvent('note-update:user-action', event));
+            CartStore.update({ note: event.target.value }, { source: 'cart-note' }).then(() =>
+              CartPerformance.measureFromEvent('note-update:user-action', event)
+            );
           }, ON_CHANGE_DEBOUNCE_TIMER)
         );
       }
     }
   );
 }
+
+if (!customElements.get('cart-attributes')) {
+  customElements.define(
+    'cart-attributes',
+    class CartAttributes extends HTMLElement {
+      // input name => value entered, re-applied when the drawer or cart footer is re-rendered before the save is done
+      static values = new Map();
+
+      constructor() {
+        super();
+
+        this.addEventListener('input', ({ target }) => {
+          CartAttributes.values.set(target.name, target.type === 'checkbox' ? target.checked : target.value);
+        });
+        this.addEventListener(
+          'input',
+          debounce((event) => {
+            CartStore.update({ attributes: this.cartAttributes }, { source: 'cart-attributes' }).then(() =>
+              CartPerformance.measureFromEvent('attributes-update:user-action', event)
+            );
+          }, ON_CHANGE_DEBOUNCE_TIMER)
+        );
+      }
+
+      connectedCallback() {
+        this.inputs = this.querySelectorAll('[name^="attributes["]');
+        this.inputs.forEach((input) => {
+          if (!CartAttributes.values.has(input.name)) return;
+
+          const value = CartAttributes.values.get(input.name);
+          if (input.type === 'checkbox') {
+            input.checked = value;
+          } else {
+            input.value = value;
+          }
+        });
+
+        this.deliveryDate = this.querySelector('input[type="date"]');
+        if (this.deliveryDate) {
+          const earliestDate = new Date();
+          earliestDate.setDate(earliestDate.getDate() + parseInt(this.dataset.leadTime || 0));
+          this.deliveryDate.min = CartAttributes.formatDate(earliestDate);
+          this.validateDeliveryDate();
+        }
+      }
+
+      // an invalid delivery date is saved empty, so an earlier valid one isn't kept, checkout is blocked by its
+      // validity in the meantime
+      get cartAttributes() {
+        return Array.from(this.inputs).reduce((attributes, input) => {
+          const name = input.name.slice('attributes['.length, -1);
+          if (input === this.deliveryDate && !this.validateDeliveryDate()) return { ...attributes, [name]: '' };
+
+          const value = input.type === 'checkbox' ? (input.checked ? input.value : '') : input.value;
+          return { ...attributes, [name]: value };
+        }, {});
+      }
+
+      get blackoutDates() {
+        return this.dataset.blackoutDates.split(/[\s,]+/).filter(Boolean);
+      }
+
+      validateDeliveryDate() {
+        const { value, min } = this.deliveryDate;
+        let message = '';
+        if (value && value < min) message = window.cartStrings.deliveryDateTooSoon;
+        if (value && this.blackoutDates.includes(value)) message = window.cartStrings.deliveryDateUnavailable;
+
+        this.deliveryDate.setCustomValidity(message);
+        this.deliveryDate.setAttribute('aria-invalid', !!message);
+        const error = document.getElementById(this.deliveryDate.getAttribute('aria-describedby'));
+        error.querySelector('.cart-attributes__error').textContent = message;
+        error.hidden = !message;
+
+        return !message;
+      }
+
+      static formatDate(date) {
+        return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+          .map((part) => String(part).padStart(2, '0'))
+          .join('-');
+      }
+    }
+  );
+}
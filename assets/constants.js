@@ -6,4 +6,8 @@ const PUB_SUB_EVENTS = {
   optionValueSelectionChange: 'option-value-selection-change',
   variantChange: 'variant-change',
   cartError: 'cart-error',
+  cartStateChange: 'cart-state-change',
+  savedForLaterUpdate: 'saved-for-later-update',
+  wishlistUpdate: 'wishlist-update',
+  compareUpdate: 'compare-update',
 };
@@ -0,0 +1,227 @@
+if (!customElements.get('frequently-bought-together')) {
+  customElements.define(
+    'frequently-bought-together',
+    class FrequentlyBoughtTogether extends HTMLElement {
+      static SOURCE = 'frequently-bought-together';
+
+      constructor() {
+        super();
+
+        this.addButton = this.querySelector('.frequently-bought-together__add');
+        this.addButton.addEventListener('click', this.addToCart.bind(this));
+        this.addEventListener('change', this.onChange.bind(this));
+      }
+
+      connectedCallback() {
+        // the page's product follows the variant of its product form, see BackInStockForm
+        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, ({ data }) => {
+          if (this.productForm?.variantIdInput?.value !== String(data.variant.id)) return;
+          this.setVariant(data.variant);
+        });
+
+        if (this.dataset.url) {
+          this.loadRecommendations();
+          return;
+        }
+        this.hidden = this.items.length < 2;
+      }
+
+      // the block is only shown once there's a product to buy together with the page's product
+      loadRecommendations() {
+        fetch(this.dataset.url)
+          .then((response) => {
+            if (!response.ok) throw new Error(`Recommendations request failed with status ${response.status}`);
+            return response.text();
+          })
+          .then((text) => {
+            const items = new DOMParser()
+              .parseFromString(text, 'text/html')
+              .querySelectorAll('.frequently-bought-together__item');
+            this.querySelector('.frequently-bought-together__list').append(...items);
+            this.hidden = this.items.length < 2;
+            this.updateTotal();
+          })
+          .catch((e) => {
+            console.error(e);
+          });
+      }
+
+      disconnectedCallback() {
+        this.variantChangeUnsubscriber();
+      }
+
+      get productForm() {
+        return this.closest('product-info')?.querySelector('product-form');
+      }
+
+      get items() {
+        return [...this.querySelectorAll('.frequently-bought-together__item')];
+      }
+
+      get checkedItems() {
+        return this.items.filter((item) => item.querySelector('.frequently-bought-together__checkbox').checked);
+      }
+
+      onChange({ target }) {
+        const item = target.closest('.frequently-bought-together__item');
+        if (!item) return;
+
+        if (target.tagName === 'SELECT') {
+          const { price } = target.selectedOptions[0].dataset;
+          item.dataset.variantId = target.value;
+          item.dataset.price = price;
+          item.querySelector('.frequently-bought-together__price').innerHTML = formatMoney(Number(price));
+
+          // only available variants can be picked, a product rendered sold out is included once one is
+          const checkbox = item.querySelector('.frequently-bought-together__checkbox');
+          if (checkbox.disabled) {
+            checkbox.disabled = false;
+            checkbox.checked = true;
+          }
+        }
+
+        this.setError(item);
+        this.updateTotal();
+      }
+
+      setVariant(variant) {
+        const item = this.querySelector('.frequently-bought-together__item[data-current]');
+        if (!item) return;
+
+        item.dataset.variantId = variant.id;
+        item.dataset.price = variant.price;
+        const select = item.querySelector('select');
+        if (select) select.value = variant.id;
+
+        const checkbox = item.querySelector('.frequently-bought-together__checkbox');
+        checkbox.disabled = !variant.available;
+        checkbox.checked = variant.available;
+        item.querySelector('.frequently-bought-together__price').innerHTML = variant.available
+          ? formatMoney(variant.price)
+          : window.variantStrings.soldOut;
+
+        this.setError(item);
+        this.updateTotal();
+      }
+
+      updateTotal() {
+        const total = this.checkedItems.reduce((sum, item) => sum + Number(item.dataset.price), 0);
+        this.querySelector('.frequently-bought-together__total-price').innerHTML = formatMoney(total);
+        this.addButton.disabled = !this.checkedItems.length;
+      }
+
+      // All checked items are added in a single request and the cart drawer is opened once with them. The request
+      // fails as a whole when one of them can't be added, the others are then added one at a time so each failure
+      // is reported on its own item. The cart page is opened when there's no drawer, unless an item wasn't added.
+      addToCart() {
+        if (this.addButton.getAttribute('aria-disabled') === 'true') return;
+
+        const items = this.checkedItems;
+        const cart = document.querySelector('cart-drawer');
+        const sections = cart ? cart.getSectionsToRender().map((section) => section.id) : [];
+        const previousCart = CartStore.state;
+
+        this.items.forEach((item) => this.setError(item));
+        this.setMessage();
+        this.setLoading(true);
+        cart?.setActiveElement(document.activeElement);
+
+        const body = { items: items.map((item) => ({ id: Number(item.dataset.variantId), quantity: 1 })) };
+        if (cart) {
+          body.sections = sections;
+          body.sections_url = window.location.pathname;
+        }
+
+        CartStore.add(body, { source: FrequentlyBoughtTogether.SOURCE })
+          .then((response) => {
+            if (!response.status) return { cartData: response, sections: response.sections, failures: [] };
+            return this.addSeparately(items, previousCart, sections);
+          })
+          .then(({ cartData, sections, failures }) => {
+            failures.forEach(({ item, message }) => this.setError(item, message));
+            if (!cartData) return;
+
+            publish(PUB_SUB_EVENTS.cartUpdate, { source: FrequentlyBoughtTogether.SOURCE, cartData });
+            if (cart) {
+              cart.renderContents({ sections });
+            } else if (!failures.length) {
+              window.location = window.routes.cart_url;
+            } else {
+              this.setMessage(items.length - failures.length);
+            }
+          })
+          .catch((e) => {
+            console.error(e);
+            items.forEach((item) => this.setError(item, window.cartStrings.error));
+          })
+          .finally(() => this.setLoading(false));
+      }
+
+      // resolves with the cart once the items missing from it were added, the cart is fetched first in case the
+      // failed request added some of them anyway
+      addSeparately(items, previousCart, sections) {
+        const quantityOf = (cart, variantId) =>
+          (cart?.items || [])
+            .filter((line) => line.variant_id === variantId)
+            .reduce((quantity, line) => quantity + line.quantity, 0);
+        const failures = [];
+
+        return CartStore.refresh({ source: FrequentlyBoughtTogether.SOURCE })
+          .then((cart) => {
+            const missingItems = items.filter((item) => {
+              const variantId = Number(item.dataset.variantId);
+              return quantityOf(cart, variantId) <= quantityOf(previousCart, variantId);
+            });
+
+            return missingItems.reduce(
+              (queue, item) =>
+                queue
+                  .then(() =>
+                    CartStore.add(
+                      { items: [{ id: Number(item.dataset.variantId), quantity: 1 }] },
+                      { source: FrequentlyBoughtTogether.SOURCE }
+                    )
+                  )
+                  .then((response) => {
+                    if (!response.status) return;
+                    failures.push({
+                      item,
+                      message: response.description || response.message || window.cartStrings.error,
+                    });
+                  }),
+              Promise.resolve()
+            );
+          })
+          .then(() => {
+            if (failures.length === items.length) return { cartData: null, failures };
+            if (!sections.length) return { cartData: CartStore.state, failures };
+
+            // the drawer is rendered once, after the last item was added
+            return fetch(`${window.location.pathname}?sections=${sections.join(',')}`)
+              .then((response) => response.json())
+              .then((renderedSections) => ({ cartData: CartStore.state, sections: renderedSections, failures }));
+          });
+      }
+
+      setLoading(loading) {
+        this.addButton.setAttribute('aria-disabled', loading);
+        this.addButton.classList.toggle('loading', loading);
+        this.addButton.querySelector('.loading__spinner').classList.toggle('hidden', !loading);
+      }
+
+      setError(item, message = '') {
+        const error = item.querySelector('.frequently-bought-together__error');
+        error.querySelector('.frequently-bought-together__error-text').textContent = message;
+        error.hidden = !message;
+      }
+
+      setMessage(count = 0) {
+        const message = this.querySelector('.frequently-bought-together__message');
+        message.querySelector('.frequently-bought-together__message-text').textContent = (
+          count === 1 ? this.dataset.addedOne : this.dataset.addedOther
+        ).replace('[count]', count);
+        message.hidden = !count;
+      }
+    }
+  );
+}
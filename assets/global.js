@@ -307,6 +307,33 @@ function fetchConfig(type = 'json') {
   };
 }
 
+// Formats an amount in cents with one of the shop's money formats (window.moneyFormats), e.g. '${{amount}}'
+function formatMoney(cents, format = window.moneyFormats.money) {
+  const placeholderRegex = /\{\{\s*(\w+)\s*\}\}/;
+
+  const formatWithDelimiters = (amount, precision = 2, thousands = ',', decimal = '.') => {
+    if (isNaN(amount) || amount === null) return 0;
+
+    const [units, fraction] = (amount / 100).toFixed(precision).split('.');
+    const formattedUnits = units.replace(/(\d)(?=(\d\d\d)+(?!\d))/g, `$1${thousands}`);
+    return fraction ? `${formattedUnits}${decimal}${fraction}` : formattedUnits;
+  };
+
+  const delimiters = {
+    amount: [2, ',', '.'],
+    amount_no_decimals: [0, ',', '.'],
+    amount_with_comma_separator: [2, '.', ','],
+    amount_no_decimals_with_comma_separator: [0, '.', ','],
+    amount_with_apostrophe_separator: [2, "'", '.'],
+    amount_no_decimals_with_space_separator: [0, ' ', '.'],
+    amount_with_space_separator: [2, ' ', ','],
+    amount_with_period_and_space_separator: [2, ' ', '.'],
+  };
+
+  const formatName = format.match(placeholderRegex)?.[1];
+  return format.replace(placeholderRegex, formatWithDelimiters(cents, ...(delimiters[formatName] || delimiters.amount)));
+}
+
 /*
  * Shopify Common JS
  *
@@ -1061,6 +1088,8 @@ class SlideshowComponent extends SliderComponent {
 customElements.define('slideshow-component', SlideshowComponent);
 
 class VariantSelects extends HTMLElement {
+  #variantData = undefined;
+
   constructor() {
     super();
   }
@@ -1069,6 +1098,7 @@ class VariantSelects extends HTMLElement {
     this.addEventListener('change', (event) => {
       const target = this.getInputForEventTarget(event.target);
       this.updateSelectionMetadata(event);
+      this.updateOptionAvailability();
 
       publish(PUB_SUB_EVENTS.optionValueSelectionChange, {
         data: {
@@ -1112,14 +1142,102 @@ class VariantSelects extends HTMLElement {
     }
   }
 
+  // Marks each option value as available, sold out or unavailable given the values selected for the other options.
+  // Values of combinations without a variant are disabled. Without embedded variant data the section re-renders
+  // the options instead.
+  updateOptionAvailability() {
+    const data = this.variantData;
+    if (!data) return;
+
+    const productUrl = this.closest('product-info')?.dataset.url;
+    const selectedOptions = this.selectedInputs.map(({ value }) => value);
+
+    this.querySelectorAll('.product-form__input').forEach((optionInput, position) => {
+      optionInput.querySelectorAll('input[type="radio"], option').forEach((input) => {
+        // values of other products in a combined listing come with those products
+        if (input.dataset.productUrl && input.dataset.productUrl !== productUrl) return;
+
+        const options = [...selectedOptions];
+        options[position] = input.value;
+        const variant = this.findVariant(options);
+
+        if (variant?.available) {
+          this.setOptionValueState(input, 'available');
+        } else if (variant || !data.complete) {
+          this.setOptionValueState(input, 'sold_out');
+        } else {
+          this.setOptionValueState(input, 'unavailable');
+        }
+      });
+    });
+  }
+
+  setOptionValueState(input, state) {
+    input.disabled = state === 'unavailable';
+
+    if (input.tagName === 'OPTION') {
+      const labels = {
+        available: '[value]',
+        sold_out: window.variantStrings.sold_out_with_option,
+        unavailable: window.variantStrings.unavailable_with_option,
+      };
+      input.textContent = labels[state].replace('[value]', input.value);
+      return;
+    }
+
+    const disabledClass = input.classList.contains('swatch-input__input') ? 'visually-disabled' : 'disabled';
+    input.classList.toggle(disabledClass, state !== 'available');
+    const label = this.querySelector(`label[for="${input.id}"] .label-unavailable`);
+    if (label) {
+      label.textContent = state === 'unavailable' ? window.variantStrings.unavailable : window.variantStrings.soldOut;
+    }
+  }
+
   getInputForEventTarget(target) {
     return target.tagName === 'SELECT' ? target.selectedOptions[0] : target;
   }
 
+  get selectedInputs() {
+    return Array.from(this.querySelectorAll('select option[selected], fieldset input:checked'));
+  }
+
+  // the selected inputs with `input` in place of the one selected for its option
+  selectedInputsWith(input) {
+    return this.selectedInputs.map((selected) => (selected.name === input.name ? input : selected));
+  }
+
   get selectedOptionValues() {
-    return Array.from(this.querySelectorAll('select option[selected], fieldset input:checked')).map(
-      ({ dataset }) => dataset.optionValueId
-    );
+    return this.selectedInputs.map(({ dataset }) => dataset.optionValueId);
+  }
+
+  // embedded by snippets/product-variant-data.liquid, null when the section resolves every option change
+  get variantData() {
+    if (this.#variantData === undefined) {
+      const script = this.querySelector('[data-variant-data]');
+      this.#variantData = script ? JSON.parse(script.textContent) : null;
+    }
+
+    return this.#variantData;
+  }
+
+  // the variant with the options of `inputs`: null when there's none, undefined when the embedded data can't tell
+  resolveVariant(inputs = this.selectedInputs) {
+    const data = this.variantData;
+    if (!data) return undefined;
+
+    const variant = this.findVariant(inputs.map(({ value }) => value));
+    if (variant) return variant;
+
+    return data.complete ? null : undefined;
+  }
+
+  findVariant(options) {
+    const hasOptions = (variant) => variant.options.every((value, index) => value === options[index]);
+    return this.variantData.variants.find(hasOptions);
+  }
+
+  setSelectedVariant(variant) {
+    this.querySelector('[data-selected-variant]').textContent = JSON.stringify(variant);
   }
 }
 
@@ -1208,17 +1326,9 @@ class BulkAdd extends HTMLElement {
   }
 
   startQueue(id, quantity) {
-    this.queue.push({ id, quantity });
-
-    const interval = setInterval(() => {
-      if (this.queue.length > 0) {
-        if (!this.requestStarted) {
-          this.sendRequest(this.queue);
-        }
-      } else {
-        clearInterval(interval);
-      }
-    }, BulkAdd.ASYNC_REQUEST_DELAY);
+    const queueItem = { id, quantity };
+    this.queue.push(queueItem);
+    this.sendRequest([queueItem]);
   }
 
   sendRequest(queue) {
@@ -1228,9 +1338,14 @@ class BulkAdd extends HTMLElement {
     queue.forEach((queueItem) => {
       items[parseInt(queueItem.id)] = queueItem.quantity;
     });
-    this.queue = this.queue.filter((queueElement) => !queue.includes(queueElement));
 
-    this.updateMultipleQty(items);
+    // CartStore.batchUpdate merges these items with the other pending edits into a single request
+    this.updateMultipleQty(items, queue);
+  }
+
+  // queue items are only dropped once their request settled, so a response doesn't overwrite newer edits
+  dequeue(queue = []) {
+    this.queue = this.queue.filter((queueElement) => !queue.includes(queueElement));
   }
 
   setRequestStarted(requestStarted) {
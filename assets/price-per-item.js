@@ -23,26 +23,14 @@ if (!customElements.get('price-per-item')) {
           this.getVolumePricingArray();
         });
 
-        this.updatePricePerItemUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (response) => {
-          if (!response.cartData) return;
+        this.updatePricePerItemUnsubscriber = subscribe(PUB_SUB_EVENTS.cartStateChange, ({ cart, diff }) => {
+          if (!diff.lines.some((item) => item.variant_id.toString() === this.variantId)) return;
 
-          // Item was added to cart via product page
-          if (response.cartData['variant_id'] !== undefined) {
-            if (response.productVariantId === this.variantId) this.updatePricePerItem(response.cartData.quantity);
-            // Qty was updated in cart
-          } else if (response.cartData.item_count !== 0) {
-            const isVariant = response.cartData.items.find((item) => item.variant_id.toString() === this.variantId);
-            if (isVariant && isVariant.id.toString() === this.variantId) {
-              // The variant is still in cart
-              this.updatePricePerItem(isVariant.quantity);
-            } else {
-              // The variant was removed from cart, qty is 0
-              this.updatePricePerItem(0);
-            }
-            // All items were removed from cart
-          } else {
-            this.updatePricePerItem(0);
-          }
+          // Sum the variant over all of its cart lines, qty is 0 once it was removed from cart
+          const cartQuantity = cart.items
+            .filter((item) => item.variant_id.toString() === this.variantId)
+            .reduce((total, item) => total + item.quantity, 0);
+          this.updatePricePerItem(cartQuantity);
         });
       }
 
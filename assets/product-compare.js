@@ -0,0 +1,230 @@
+// The products picked for comparison, kept in the browser so the picks carry over between collection pages and
+// facet changes: `{ id: <product id>, handle, title, image }`. The list is newest first, products are shown in
+// the order they were picked.
+class ProductCompare {
+  static MAX = 4;
+  static list = new ProductListStore('compare', {
+    event: PUB_SUB_EVENTS.compareUpdate,
+    adapter: new LocalStorageListAdapter('compare'),
+  });
+  // product url => response of sections/compare-product.liquid
+  static columns = new Map();
+
+  static get items() {
+    return [...ProductCompare.list.items].reverse();
+  }
+
+  static get full() {
+    return ProductCompare.list.items.length >= ProductCompare.MAX;
+  }
+
+  static fetchColumn(item) {
+    const { columns } = ProductCompare;
+    const rootUrl = routes.root_url.replace(/\/$/, '');
+    const url = `${rootUrl}/products/${encodeURIComponent(item.handle)}?section_id=compare-product`;
+
+    if (!columns.has(url)) {
+      columns.set(
+        url,
+        fetch(url).then((response) => {
+          // the product was deleted or unpublished since it was picked
+          if (response.status === 404) ProductCompare.list.remove(item.id);
+          if (!response.ok) return '';
+          return response.text();
+        })
+      );
+      columns.get(url).catch(() => columns.delete(url));
+    }
+
+    return columns
+      .get(url)
+      .then((text) => new DOMParser().parseFromString(text, 'text/html').querySelector('.compare-product'))
+      .catch(() => null);
+  }
+}
+
+class CompareCheckbox extends HTMLElement {
+  constructor() {
+    super();
+
+    this.input = this.querySelector('input');
+    this.input.addEventListener('change', this.onChange.bind(this));
+  }
+
+  connectedCallback() {
+    this.compareUnsubscriber = subscribe(PUB_SUB_EVENTS.compareUpdate, () => this.update());
+    ProductCompare.list.ready.then(() => this.update());
+  }
+
+  disconnectedCallback() {
+    this.compareUnsubscriber();
+  }
+
+  onChange() {
+    if (!this.input.checked) {
+      ProductCompare.list.remove(this.dataset.productId);
+      return;
+    }
+
+    ProductCompare.list.add({
+      id: Number(this.dataset.productId),
+      handle: this.dataset.handle,
+      title: this.dataset.title,
+      image: this.dataset.image || null,
+    });
+  }
+
+  // products that aren't picked can't be added once the tray is full
+  update() {
+    const picked = ProductCompare.list.has(this.dataset.productId);
+    this.input.checked = picked;
+    this.input.disabled = !picked && ProductCompare.full;
+  }
+}
+
+customElements.define('compare-checkbox', CompareCheckbox);
+
+class CompareTray extends HTMLElement {
+  constructor() {
+    super();
+
+    this.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+
+      if (button.dataset.action === 'clear') {
+        ProductCompare.list.clear();
+      } else {
+        ProductCompare.list.remove(button.closest('[data-id]').dataset.id);
+      }
+    });
+  }
+
+  connectedCallback() {
+    this.compareUnsubscriber = subscribe(PUB_SUB_EVENTS.compareUpdate, () => this.render());
+    ProductCompare.list.ready.then(() => this.render());
+  }
+
+  disconnectedCallback() {
+    this.compareUnsubscriber();
+  }
+
+  render() {
+    const { items } = ProductCompare;
+    const template = this.querySelector('template').content.firstElementChild;
+
+    this.querySelector('.compare-tray__list').replaceChildren(
+      ...items.map(({ id, title, image }) => {
+        const row = template.cloneNode(true);
+        row.dataset.id = id;
+        row.querySelector('.compare-tray__title').textContent = title;
+        row
+          .querySelector('[data-action="remove"]')
+          .setAttribute('aria-label', this.dataset.removeLabel.replace('[title]', title));
+        if (image) {
+          const img = document.createElement('img');
+          Object.assign(img, { src: image, alt: '', width: 48, height: 48, loading: 'lazy' });
+          row.querySelector('.compare-tray__media').appendChild(img);
+        }
+        return row;
+      })
+    );
+
+    this.querySelector('.compare-tray__count').textContent = this.dataset.countLabel
+      .replace('[count]', items.length)
+      .replace('[max]', ProductCompare.MAX);
+    // there's no link until a compare page is set in the theme settings
+    const link = this.querySelector('.compare-tray__link');
+    if (link) link.hidden = items.length < 2;
+    this.querySelector('.compare-tray__hint').hidden = items.length >= 2;
+    this.hidden = !items.length;
+
+    // the tray is fixed to the bottom of the window, the page and other fixed bars make room for it
+    document.documentElement.style.setProperty('--compare-tray-height', `${this.hidden ? 0 : this.offsetHeight}px`);
+  }
+}
+
+customElements.define('compare-tray', CompareTray);
+
+class CompareTable extends HTMLElement {
+  static ROW_ORDER = ['product', 'price', 'option', 'availability', 'metafield', 'add'];
+  renderCount = 0;
+
+  constructor() {
+    super();
+
+    this.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-action="remove"]');
+      if (button) ProductCompare.list.remove(button.dataset.productId);
+    });
+    this.querySelector('.compare__highlight-input').addEventListener('change', (event) =>
+      this.classList.toggle('compare--highlight', event.target.checked)
+    );
+  }
+
+  connectedCallback() {
+    this.compareUnsubscriber = subscribe(PUB_SUB_EVENTS.compareUpdate, () => this.render());
+    ProductCompare.list.ready.then(() => this.render());
+  }
+
+  disconnectedCallback() {
+    this.compareUnsubscriber();
+  }
+
+  render() {
+    const renderCount = ++this.renderCount;
+
+    return Promise.all(ProductCompare.items.map((item) => ProductCompare.fetchColumn(item))).then((columns) => {
+      // the picks changed again while these columns were loading
+      if (renderCount !== this.renderCount) return;
+
+      columns = columns.filter(Boolean);
+      this.querySelector('.compare-table tbody').replaceChildren(...this.buildRows(columns));
+      this.querySelector('.compare__empty').hidden = columns.length > 0;
+      this.querySelector('.compare__content').hidden = !columns.length;
+    });
+  }
+
+  // Cells are matched across columns by their `data-row` name, e.g. `option:Color`, and rows are grouped by
+  // the part before the colon. Cells a product doesn't have, such as options of other products, are left empty.
+  buildRows(columns) {
+    const labels = new Map();
+    columns.forEach((column) =>
+      column.querySelectorAll('[data-row]').forEach(({ dataset }) => {
+        if (!labels.has(dataset.row)) labels.set(dataset.row, dataset.label);
+      })
+    );
+
+    const group = (name) => CompareTable.ROW_ORDER.indexOf(name.split(':')[0]);
+    return [...labels.keys()]
+      .sort((a, b) => group(a) - group(b))
+      .map((name) => {
+        const row = document.createElement('tr');
+        row.className = 'compare-table__row';
+
+        const header = document.createElement('th');
+        header.scope = 'row';
+        header.className = 'compare-table__label';
+        header.textContent = labels.get(name);
+
+        let compared = false;
+        const cells = columns.map((column) => {
+          const cell = document.createElement('td');
+          cell.className = 'compare-table__cell';
+          const source = column.querySelector(`[data-row="${CSS.escape(name)}"]`);
+          if (source) {
+            compared = compared || source.hasAttribute('data-compare');
+            cell.append(...source.childNodes);
+          }
+          return cell;
+        });
+
+        const values = new Set(cells.map((cell) => cell.textContent.replace(/\s+/g, ' ').trim()));
+        row.classList.toggle('compare-table__row--different', compared && values.size > 1);
+        row.append(header, ...cells);
+        return row;
+      });
+  }
+}
+
+customElements.define('compare-table', CompareTable);
@@ -27,11 +27,9 @@ if (!customElements.get('product-form')) {
         this.submitButton.classList.add('loading');
         this.querySelector('.loading__spinner').classList.remove('hidden');
 
-        const config = fetchConfig('javascript');
-        config.headers['X-Requested-With'] = 'XMLHttpRequest';
-        delete config.headers['Content-Type'];
-
         const formData = new FormData(this.form);
+        // the one-time purchase option of the selling plan picker doesn't post a plan
+        if (formData.get('selling_plan') === '') formData.delete('selling_plan');
         if (this.cart) {
           formData.append(
             'sections',
@@ -40,10 +38,8 @@ if (!customElements.get('product-form')) {
           formData.append('sections_url', window.location.pathname);
           this.cart.setActiveElement(document.activeElement);
         }
-        config.body = formData;
 
-        fetch(`${routes.cart_add_url}`, config)
-          .then((response) => response.json())
+        CartStore.add(formData, { source: 'product-form' })
           .then((response) => {
             if (response.status) {
               publish(PUB_SUB_EVENTS.cartError, {
@@ -10,11 +10,14 @@ if (!customElements.get('product-info')) {
       pendingRequestUrl = null;
       preProcessHtmlCallbacks = [];
       postProcessHtmlCallbacks = [];
+      // request url => response text of sections fetched ahead of an option change
+      prefetchedResponses = new Map();
 
       constructor() {
         super();
 
         this.quantityInput = this.querySelector('.quantity__input');
+        this.addEventListener('pointerover', this.prefetchOptionValue.bind(this));
       }
 
       connectedCallback() {
@@ -66,8 +69,16 @@ if (!customElements.get('product-info')) {
         this.resetProductFormState();
 
         const productUrl = target.dataset.productUrl || this.pendingRequestUrl || this.dataset.url;
-        this.pendingRequestUrl = productUrl;
         const shouldSwapProduct = this.dataset.url !== productUrl;
+
+        const variant = shouldSwapProduct ? undefined : this.resolveVariant();
+        if (variant !== undefined) {
+          this.abortController?.abort();
+          this.handleUpdateVariant(productUrl, variant);
+          return;
+        }
+
+        this.pendingRequestUrl = productUrl;
         const shouldFetchFullPage = this.dataset.updateUrl === 'true' && shouldSwapProduct;
 
         this.renderProductInfo({
@@ -79,6 +90,44 @@ if (!customElements.get('product-info')) {
         });
       }
 
+      // Option changes within the product are resolved from the variant data embedded in `variant-selects`.
+      // Returns undefined when the section has to be fetched instead, e.g. when the gallery doesn't have the
+      // variant's media because it only shows the media of the selected variant.
+      resolveVariant(inputs) {
+        const variant = this.variantSelectors?.resolveVariant(inputs);
+        const mediaId = variant?.featured_media?.id;
+        const mediaGallery = this.querySelector('media-gallery');
+        const hasMedia =
+          !mediaId ||
+          !mediaGallery ||
+          mediaGallery.querySelector(`[data-media-id="${this.dataset.section}-${mediaId}"]`);
+
+        return hasMedia ? variant : undefined;
+      }
+
+      // options that will need the section, i.e. other products of a combined listing, are fetched on hover
+      prefetchOptionValue(event) {
+        const label = event.target.closest('variant-selects label[for]');
+        const input = label && document.getElementById(label.htmlFor);
+        if (!input || input.checked) return;
+
+        const productUrl = input.dataset.productUrl || this.dataset.url;
+        const shouldSwapProduct = this.dataset.url !== productUrl;
+        const inputs = this.variantSelectors.selectedInputsWith(input);
+        if (!shouldSwapProduct && this.resolveVariant(inputs) !== undefined) return;
+
+        const requestUrl = this.buildRequestUrlWithParams(
+          productUrl,
+          inputs.map(({ dataset }) => dataset.optionValueId),
+          this.dataset.updateUrl === 'true' && shouldSwapProduct
+        );
+        if (this.prefetchedResponses.has(requestUrl)) return;
+
+        const responseText = fetch(requestUrl).then((response) => response.text());
+        this.prefetchedResponses.set(requestUrl, responseText);
+        responseText.catch(() => this.prefetchedResponses.delete(requestUrl));
+      }
+
       resetProductFormState() {
         const productForm = this.productForm;
         productForm?.toggleSubmitButton(true);
@@ -116,10 +165,16 @@ if (!customElements.get('product-info')) {
       renderProductInfo({ requestUrl, targetId, callback }) {
         this.abortController?.abort();
         this.abortController = new AbortController();
+        const { signal } = this.abortController;
 
-        fetch(requestUrl, { signal: this.abortController.signal })
-          .then((response) => response.text())
+        const prefetchedResponse = this.prefetchedResponses.get(requestUrl);
+        this.prefetchedResponses.delete(requestUrl);
+
+        (prefetchedResponse || fetch(requestUrl, { signal }).then((response) => response.text()))
           .then((responseText) => {
+            // the prefetch can't be aborted, its response is dropped instead
+            if (signal.aborted) throw new DOMException('The request was aborted', 'AbortError');
+
             this.pendingRequestUrl = null;
             const html = new DOMParser().parseFromString(responseText, 'text/html');
             callback(html);
@@ -211,6 +266,94 @@ if (!customElements.get('product-info')) {
         };
       }
 
+      // renders a variant resolved on the client the way handleUpdateProductInfo renders the section's response
+      handleUpdateVariant(productUrl, variant) {
+        const previousVariantId = this.productForm?.variantIdInput?.value;
+
+        this.variantSelectors.setSelectedVariant(variant);
+        this.pickupAvailability?.update(variant);
+        this.updateURL(productUrl, variant?.id);
+        this.updateVariantInputs(variant?.id);
+
+        if (!variant) {
+          this.setUnavailable();
+          return;
+        }
+
+        if (variant.featured_media) {
+          this.querySelector('media-gallery')?.setActiveMedia?.(
+            `${this.dataset.section}-${variant.featured_media.id}`,
+            true
+          );
+        }
+
+        const html = this.variantSelectors.variantData.html[variant.id];
+        this.updatePrice(variant, html);
+
+        const sku = this.querySelector(`#Sku-${this.dataset.section}`);
+        if (sku) {
+          sku.replaceChildren(sku.querySelector('.visually-hidden'), variant.sku || '');
+          sku.classList.toggle('visibility-hidden', !variant.sku);
+          sku.classList.remove('hidden');
+        }
+
+        const inventory = this.querySelector(`#Inventory-${this.dataset.section}`);
+        if (inventory) {
+          inventory.innerHTML = html.inventory;
+          inventory.classList.toggle('visibility-hidden', variant.inventory_management !== 'shopify');
+          inventory.classList.remove('hidden');
+        }
+
+        this.updateQuantitySelector(variant, previousVariantId);
+        this.productForm?.toggleSubmitButton(!variant.available, window.variantStrings.soldOut);
+
+        publish(PUB_SUB_EVENTS.variantChange, {
+          data: {
+            sectionId: this.sectionId,
+            html: null,
+            variant,
+          },
+        });
+      }
+
+      updatePrice(variant, html) {
+        const container = this.querySelector(`#price-${this.dataset.section}`);
+        const price = container?.querySelector('.price');
+        if (!price) return;
+
+        container.classList.remove('hidden');
+        price.classList.toggle('price--sold-out', !variant.available);
+        price.classList.toggle('price--on-sale', variant.compare_at_price > variant.price);
+        price
+          .querySelectorAll('.price__regular .price-item--regular, .price-item--sale')
+          .forEach((priceItem) => (priceItem.innerHTML = html.price));
+        const compareAtPrice = price.querySelector('.price__sale s.price-item--regular');
+        if (compareAtPrice) compareAtPrice.innerHTML = html.compare_at_price;
+
+        price.querySelector('.unit-price')?.remove();
+        price.querySelector('.price__container').insertAdjacentHTML('beforeend', html.unit_price);
+        this.querySelector('sticky-add-to-cart')?.updatePrice();
+      }
+
+      // The quantity rules and the quantity in the cart are rendered by the section, so it's only fetched when
+      // the variants have rules or the cart has either variant.
+      updateQuantitySelector(variant, previousVariantId) {
+        if (!this.quantityForm) return;
+
+        const hasQuantityRules = this.variantSelectors.variantData.variants.some(
+          ({ quantity_rule: rule }) => rule && (rule.min > 1 || rule.increment > 1 || rule.max !== null)
+        );
+        const isInCart = (variantId) =>
+          !!CartStore.state?.items.some((item) => item.variant_id.toString() === String(variantId));
+
+        if (hasQuantityRules || isInCart(variant.id) || isInCart(previousVariantId)) {
+          this.fetchQuantityRules();
+        } else {
+          this.setQuantityBoundries();
+        }
+        this.querySelector(`#Quantity-Rules-${this.dataset.section}`)?.classList.remove('hidden');
+      }
+
       updateVariantInputs(variantId) {
         this.querySelectorAll(
           `#product-form-${this.dataset.section}, #product-form-installment-${this.dataset.section}`
@@ -232,6 +375,9 @@ if (!customElements.get('product-info')) {
 
       setUnavailable() {
         this.productForm?.toggleSubmitButton(true, window.variantStrings.unavailable);
+        this.querySelector('back-in-stock-form')?.update(null);
+        this.querySelector('sticky-add-to-cart')?.update(null);
+        this.querySelector('wishlist-button[data-variant-id]')?.setVariant(null);
 
         const selectors = ['price', 'Inventory', 'Sku', 'Price-Per-Item', 'Volume-Note', 'Volume', 'Quantity-Rules']
           .map((id) => `#${id}-${this.dataset.section}`)
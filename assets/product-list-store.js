@@ -0,0 +1,167 @@
+// Stores the items of a list in localStorage, e.g. `{ "items": [...] }` under the `product-list:<name>` key.
+class LocalStorageListAdapter {
+  constructor(name) {
+    this.key = `product-list:${name}`;
+  }
+
+  load() {
+    try {
+      return Promise.resolve(JSON.parse(localStorage.getItem(this.key))?.items || []);
+    } catch (e) {
+      return Promise.resolve([]);
+    }
+  }
+
+  save(items) {
+    try {
+      if (items.length) {
+        localStorage.setItem(this.key, JSON.stringify({ items }));
+      } else {
+        localStorage.removeItem(this.key);
+      }
+      return Promise.resolve();
+    } catch (e) {
+      // storage is full or disabled, e.g. in private browsing
+      return Promise.reject(e);
+    }
+  }
+}
+
+// Stores the items of a logged in customer's list through an endpoint of the merchant's, e.g. an app proxy
+// backed by customer metafields. `GET <url>?list=<name>` answers with `{ "items": [...] }`, `PUT` receives the same.
+// Items saved as a guest on this device are merged into the customer's list the first time it's loaded.
+class CustomerListAdapter {
+  constructor(url, name) {
+    this.url = `${url}${url.includes('?') ? '&' : '?'}list=${encodeURIComponent(name)}`;
+    this.guestList = new LocalStorageListAdapter(name);
+  }
+
+  load() {
+    return Promise.all([
+      fetch(this.url, { headers: { Accept: 'application/json' } }).then((response) => {
+        if (!response.ok) throw new Error(`Loading the list failed with status ${response.status}`);
+        return response.json();
+      }),
+      this.guestList.load(),
+    ]).then(([{ items = [] }, guestItems]) => {
+      const newItems = guestItems.filter((guestItem) => !items.some((item) => item.id === guestItem.id));
+      if (!newItems.length) return items;
+
+      const mergedItems = [...newItems, ...items];
+      return this.save(mergedItems)
+        .then(() => this.guestList.save([]))
+        .then(() => mergedItems);
+    });
+  }
+
+  save(items) {
+    return fetch(this.url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ items }),
+    }).then((response) => {
+      if (!response.ok) throw new Error(`Saving the list failed with status ${response.status}`);
+    });
+  }
+}
+
+// A list of products kept across visits, such as the products saved for later. Items are plain objects with
+// a unique `id`, newest first. Changes wait for the list to be loaded so they aren't overwritten by it.
+// Every change is published under the list's pubsub event as `{ list, action, item, items }`, with
+// `action` being one of 'load', 'add', 'remove' or 'clear'. A list that fails to load is shown empty and
+// stays read-only, so saving it can't overwrite the stored items. Changes reject when they couldn't be saved.
+class ProductListStore {
+  constructor(name, { event, limit = 0, adapter = ProductListStore.defaultAdapter(name) } = {}) {
+    this.name = name;
+    this.event = event;
+    this.limit = limit;
+    this.adapter = adapter;
+    this.items = [];
+    this.failed = false;
+    this.ready = this.load();
+  }
+
+  // logged in customers get the customer adapter when the theme is set up with an endpoint for it
+  static defaultAdapter(name) {
+    if (window.routes.customer_lists_url) return new CustomerListAdapter(window.routes.customer_lists_url, name);
+    return new LocalStorageListAdapter(name);
+  }
+
+  load() {
+    return this.adapter
+      .load()
+      .catch((e) => {
+        console.error(e);
+        this.failed = true;
+        return [];
+      })
+      .then((items) => {
+        this.items = items;
+        this.#publish('load');
+        return items;
+      });
+  }
+
+  get(id) {
+    return this.items.find((item) => String(item.id) === String(id));
+  }
+
+  has(id) {
+    return !!this.get(id);
+  }
+
+  // adding an item that is already listed replaces it and moves it to the top
+  add(item) {
+    return this.#change(() => {
+      const items = [item, ...this.items.filter(({ id }) => String(id) !== String(item.id))];
+      this.items = this.limit ? items.slice(0, this.limit) : items;
+      return this.#save('add', item);
+    });
+  }
+
+  remove(id) {
+    return this.#change(() => {
+      const item = this.get(id);
+      if (!item) return;
+
+      this.items = this.items.filter((listItem) => listItem !== item);
+      return this.#save('remove', item);
+    });
+  }
+
+  clear() {
+    return this.#change(() => {
+      this.items = [];
+      return this.#save('clear');
+    });
+  }
+
+  // a change the adapter couldn't save is undone, unless the list was changed again since, and rejects
+  #change(change) {
+    return this.ready.then(() => {
+      if (this.failed) return;
+
+      const previousItems = this.items;
+      const saved = change();
+      const changedItems = this.items;
+      return Promise.resolve(saved).catch((e) => {
+        if (this.items === changedItems) {
+          this.items = previousItems;
+          this.#publish('load');
+        }
+        throw e;
+      });
+    });
+  }
+
+  #save(action, item) {
+    const saved = this.adapter.save(this.items);
+    this.#publish(action, item);
+    return saved;
+  }
+
+  #publish(action, item) {
+    if (!this.event) return;
+    publish(this.event, { list: this.name, action, item, items: this.items });
+  }
+}
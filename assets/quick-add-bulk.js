@@ -21,11 +21,10 @@ if (!customElements.get('quick-add-bulk')) {
       }
 
       connectedCallback() {
-        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartStateChange, (event) => {
           if (
             event.source === 'quick-add' ||
-            (event.cartData.items && !event.cartData.items.some((item) => item.id === parseInt(this.dataset.index))) ||
-            (event.cartData.variant_id && !(event.cartData.variant_id === parseInt(this.dataset.index)))
+            !event.diff.lines.some((item) => item.variant_id === parseInt(this.dataset.index))
           ) {
             return;
           }
@@ -111,26 +110,28 @@ if (!customElements.get('quick-add-bulk')) {
         return `${window.location.pathname}${pageNumber ? `?page=${pageNumber}` : ''}`;
       }
 
-      updateMultipleQty(items) {
+      updateMultipleQty(items, queue = []) {
         this.selectProgressBar().classList.remove('hidden');
 
         const ids = Object.keys(items);
-        const body = JSON.stringify({
-          updates: items,
+
+        CartStore.batchUpdate(items, {
           sections: this.getSectionsToRender().map((section) => section.section),
           sections_url: this.getSectionsUrl(),
-        });
+          source: 'quick-add',
+        })
+          .then(({ cart: parsedState, errors }) => {
+            this.dequeue(queue);
+            if (errors) {
+              this.resetQuantityInput(this.dataset.index);
+              return;
+            }
 
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-          .then((response) => {
-            return response.text();
-          })
-          .then((state) => {
-            const parsedState = JSON.parse(state);
             this.renderSections(parsedState, ids);
             publish(PUB_SUB_EVENTS.cartUpdate, { source: 'quick-add', cartData: parsedState });
           })
           .catch(() => {
+            this.dequeue(queue);
             // Commented out for now and will be fixed when BE issue is done https://github.com/Shopify/shopify/issues/440605
             // e.target.setCustomValidity(error);
             // e.target.reportValidity();
@@ -73,6 +73,9 @@ if (!customElements.get('quick-add-modal')) {
 
         const modalDialog = productElement.querySelectorAll('modal-dialog');
         if (modalDialog) modalDialog.forEach((modal) => modal.remove());
+
+        const stickyAddToCart = productElement.querySelector('sticky-add-to-cart');
+        if (stickyAddToCart) stickyAddToCart.remove();
       }
 
       preventDuplicatedIDs(productElement) {
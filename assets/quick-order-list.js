@@ -28,9 +28,13 @@ if (!customElements.get('quick-order-list')) {
       }
 
       connectedCallback() {
-        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, async (event) => {
-          // skip if cart event was triggered by this section
-          if (event.source === this.id) return;
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartStateChange, async (event) => {
+          // skip if cart event was triggered by this section or didn't touch this product
+          if (
+            event.source === this.id ||
+            !event.diff.lines.some((item) => item.product_id === parseInt(this.dataset.productId))
+          )
+            return;
 
           this.toggleTableLoading(true);
           await this.refresh();
@@ -323,25 +327,28 @@ if (!customElements.get('quick-order-list')) {
         this.allInputsArray[nextIndex]?.select();
       }
 
-      updateMultipleQty(items) {
-        if (this.queue.length == 0) this.hasPendingQuantityUpdate = false;
+      updateMultipleQty(items, queue = []) {
+        // the edit reached the queue, pending updates are now tracked there
+        this.hasPendingQuantityUpdate = false;
 
         this.toggleLoading(true);
         const url = this.dataset.url || window.location.pathname;
 
-        const body = JSON.stringify({
-          updates: items,
-          sections: this.getSectionsToRender().map(({ section }) => section),
-          sections_url: `${url}?page=${this.currentPage}`,
-        });
-
         this.updateMessage();
         this.setErrorMessage();
 
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-          .then((response) => response.text())
-          .then(async (state) => {
-            const parsedState = JSON.parse(state);
+        CartStore.batchUpdate(items, {
+          sections: this.getSectionsToRender().map(({ section }) => section),
+          sections_url: `${url}?page=${this.currentPage}`,
+          source: this.id,
+        })
+          .then(({ cart: parsedState, errors }) => {
+            this.dequeue(queue);
+            if (errors) {
+              this.setErrorMessage(errors);
+              return;
+            }
+
             this.renderSections(parsedState);
             publish(PUB_SUB_EVENTS.cartUpdate, {
               source: this.id,
@@ -350,6 +357,7 @@ if (!customElements.get('quick-order-list')) {
           })
           .catch((e) => {
             console.error(e);
+            this.dequeue(queue);
             this.setErrorMessage(window.cartStrings.error);
           })
           .finally(() => {
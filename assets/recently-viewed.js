@@ -0,0 +1,95 @@
+if (!customElements.get('recently-viewed-products')) {
+  // The products viewed on this device, newest first, as `{ id: <handle>, viewed_at: <timestamp> }`.
+  // Products viewed longer ago than MAX_AGE are dropped as the list is read.
+  class RecentlyViewed {
+    static LIMIT = 12;
+    static MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+    static list = new ProductListStore('recently-viewed', {
+      limit: RecentlyViewed.LIMIT,
+      adapter: new LocalStorageListAdapter('recently-viewed'),
+    });
+
+    static record(handle) {
+      return RecentlyViewed.list.add({ id: handle, viewed_at: Date.now() });
+    }
+
+    static items() {
+      return RecentlyViewed.list.ready.then(() => {
+        const expiry = Date.now() - RecentlyViewed.MAX_AGE;
+        const expired = RecentlyViewed.list.items.filter(({ viewed_at }) => !(viewed_at > expiry));
+        expired.forEach(({ id }) => RecentlyViewed.list.remove(id));
+
+        return RecentlyViewed.list.items.filter((item) => !expired.includes(item));
+      });
+    }
+
+    // resolves with the card from sections/recently-viewed-card.liquid, or null when the product can't be shown
+    static fetchCard(handle) {
+      const rootUrl = routes.root_url.replace(/\/$/, '');
+      return fetch(`${rootUrl}/products/${encodeURIComponent(handle)}?section_id=recently-viewed-card`)
+        .then((response) => {
+          // the product was deleted or unpublished since it was viewed
+          if (response.status === 404) {
+            RecentlyViewed.list.remove(handle);
+            return null;
+          }
+          if (!response.ok) return null;
+
+          return response
+            .text()
+            .then((text) => new DOMParser().parseFromString(text, 'text/html').querySelector('.recently-viewed__item'));
+        })
+        .catch(() => null);
+    }
+  }
+
+  customElements.define(
+    'recently-viewed-product',
+    class RecentlyViewedProduct extends HTMLElement {
+      connectedCallback() {
+        // products opened in a quick add modal aren't counted as viewed
+        if (this.closest('quick-add-modal')) return;
+        RecentlyViewed.record(this.dataset.handle);
+      }
+    }
+  );
+
+  customElements.define(
+    'recently-viewed-products',
+    class RecentlyViewedProducts extends HTMLElement {
+      connectedCallback() {
+        this.observer = new IntersectionObserver(
+          (entries, observer) => {
+            if (!entries[0].isIntersecting) return;
+            observer.unobserve(this);
+            this.render();
+          },
+          { rootMargin: '0px 0px 400px 0px' }
+        );
+        // the element is hidden until it has cards, its wrapper is observed instead
+        this.observer.observe(this.parentElement);
+      }
+
+      disconnectedCallback() {
+        this.observer.disconnect();
+      }
+
+      render() {
+        const limit = Number(this.dataset.limit);
+
+        return RecentlyViewed.items()
+          .then((items) => {
+            // the product on this page is left out, it was just recorded as the most recent
+            const handles = items.map(({ id }) => id).filter((handle) => handle !== this.dataset.productHandle);
+            return Promise.all(handles.map((handle) => RecentlyViewed.fetchCard(handle)));
+          })
+          .then((cards) => {
+            // sections/recently-viewed-card.liquid renders nothing for products that are no longer available
+            const shownCards = cards.filter(Boolean).slice(0, limit);
+            this.querySelector('.recently-viewed__list').replaceChildren(...shownCards);
+            this.hidden = !shownCards.length;
+          });
+      }
+    }
+  );
+}
@@ -0,0 +1,160 @@
+class SavedForLater {
+  static list = new ProductListStore('saved-for-later', { event: PUB_SUB_EVENTS.savedForLaterUpdate });
+  // product url => response of sections/saved-for-later-item.liquid, shared by the cart page and drawer
+  static rows = new Map();
+
+  // lines with the same variant and properties share a key, saving one of them again adds up the quantities
+  static save(item) {
+    const savedItem = SavedForLater.list.get(item.key);
+
+    return SavedForLater.list.add({
+      id: item.key,
+      variant_id: item.variant_id,
+      url: item.url,
+      title: item.product_title,
+      quantity: (savedItem?.quantity || 0) + item.quantity,
+      properties: item.properties || {},
+      selling_plan: item.selling_plan_allocation?.selling_plan.id,
+    });
+  }
+
+  static fetchRow(item) {
+    const { rows } = SavedForLater;
+    if (!rows.has(item.url)) {
+      const url = new URL(item.url, window.location.origin);
+      url.searchParams.set('section_id', 'saved-for-later-item');
+      rows.set(
+        item.url,
+        fetch(url).then((response) => {
+          // the product may have been deleted or unpublished since it was saved
+          if (!response.ok) return '';
+          return response.text();
+        })
+      );
+      rows.get(item.url).catch(() => rows.delete(item.url));
+    }
+
+    return rows
+      .get(item.url)
+      .then((text) => new DOMParser().parseFromString(text, 'text/html').querySelector('.saved-item'))
+      .catch(() => null);
+  }
+}
+
+class CartSaveButton extends HTMLElement {
+  constructor() {
+    super();
+
+    this.addEventListener('click', (event) => {
+      event.preventDefault();
+      const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+      cartItems.saveForLater(this.dataset.index);
+    });
+  }
+}
+
+customElements.define('cart-save-button', CartSaveButton);
+
+class SavedForLaterList extends HTMLElement {
+  renderCount = 0;
+
+  constructor() {
+    super();
+
+    this.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-action]');
+      if (!button || button.getAttribute('aria-disabled') === 'true') return;
+
+      const { id } = button.closest('[data-id]').dataset;
+      if (button.dataset.action === 'move') {
+        this.moveToCart(id, button);
+      } else {
+        SavedForLater.list.remove(id);
+      }
+    });
+  }
+
+  connectedCallback() {
+    this.savedForLaterUnsubscriber = subscribe(PUB_SUB_EVENTS.savedForLaterUpdate, () => this.render());
+    SavedForLater.list.ready.then(() => this.render());
+  }
+
+  disconnectedCallback() {
+    this.savedForLaterUnsubscriber();
+  }
+
+  get cartItems() {
+    return this.closest('cart-drawer')
+      ? document.querySelector('cart-drawer-items')
+      : document.querySelector('cart-items');
+  }
+
+  render() {
+    const renderCount = ++this.renderCount;
+    const { items } = SavedForLater.list;
+
+    return Promise.all(items.map((item) => SavedForLater.fetchRow(item))).then((rows) => {
+      // the list changed again while these rows were loading
+      if (renderCount !== this.renderCount) return;
+
+      this.querySelector('.saved-for-later__list').replaceChildren(
+        ...items.map((item, index) => this.renderRow(item, rows[index]))
+      );
+      this.querySelector('.saved-for-later__count').textContent = items.length ? `(${items.length})` : '';
+      this.hidden = !items.length;
+    });
+  }
+
+  renderRow(item, row) {
+    if (!row || row.dataset.variantId !== String(item.variant_id)) {
+      row = this.querySelector('template').content.firstElementChild.cloneNode(true);
+      row.querySelector('.saved-item__title').textContent = item.title;
+    }
+
+    row.dataset.id = item.id;
+    return row;
+  }
+
+  moveToCart(id, button) {
+    const item = SavedForLater.list.get(id);
+    const cartItems = this.cartItems;
+    button.setAttribute('aria-disabled', true);
+    button.classList.add('loading');
+    button.querySelector('.loading__spinner')?.classList.remove('hidden');
+
+    cartItems
+      .addLine(item)
+      .then((response) => {
+        if (response.status) {
+          this.setError(id, response.description || window.cartStrings.error);
+          return;
+        }
+
+        // the line is in the cart either way, the saved item stays listed when it couldn't be removed
+        return SavedForLater.list
+          .remove(id)
+          .catch(() => {})
+          .then(() => {
+            cartItems.renderSections({ ...CartStore.state, sections: response.sections });
+            cartItems.announce(window.cartStrings.itemMoved.replace('[title]', item.title));
+            publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: CartStore.state });
+          });
+      })
+      .catch(() => this.setError(id, window.cartStrings.error))
+      .finally(() => {
+        button.removeAttribute('aria-disabled');
+        button.classList.remove('loading');
+        button.querySelector('.loading__spinner')?.classList.add('hidden');
+      });
+  }
+
+  setError(id, message) {
+    const error = this.querySelector(`[data-id="${CSS.escape(id)}"] .saved-item__error`);
+    if (!error) return;
+
+    error.textContent = message;
+    error.hidden = false;
+  }
+}
+
+customElements.define('saved-for-later', SavedForLaterList);
@@ -0,0 +1,79 @@
+if (!customElements.get('selling-plan-picker')) {
+  customElements.define(
+    'selling-plan-picker',
+    class SellingPlanPicker extends HTMLElement {
+      constructor() {
+        super();
+
+        // variant id => { available, plans: { <selling plan id, '' for a one-time purchase>: price } }
+        this.variants = JSON.parse(this.querySelector('[data-selling-plan-data]').textContent);
+        this.addEventListener('change', () => this.updatePrice());
+      }
+
+      connectedCallback() {
+        // the change is for this picker when its product form was just set to the variant, see BackInStockForm
+        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, ({ data }) => {
+          if (this.productForm?.variantIdInput?.value !== String(data.variant.id)) return;
+          this.update(data.variant.id);
+        });
+
+        const variantId = this.closest('form').querySelector('[name="id"]').value;
+        if (variantId) this.update(variantId);
+      }
+
+      disconnectedCallback() {
+        this.variantChangeUnsubscriber();
+      }
+
+      get productForm() {
+        return this.closest('product-form');
+      }
+
+      get inputs() {
+        return [...this.querySelectorAll('input[name="selling_plan"]')];
+      }
+
+      // Options the variant isn't sold with are disabled. A checked option that's disabled is swapped for another
+      // plan of its group, or the first option left, so the posted plan is always one of the variant's.
+      update(variantId) {
+        this.variantId = String(variantId);
+        const plans = this.variants[this.variantId]?.plans || {};
+
+        this.inputs.forEach((input) => {
+          const plan = plans[input.value];
+          const option = input.closest('.selling-plan-picker__option');
+          input.disabled = !plan;
+          option.querySelector('.selling-plan-picker__price').innerHTML = plan?.html.price ?? '';
+
+          const savings = option.querySelector('.selling-plan-picker__savings');
+          if (!savings) return;
+          savings.textContent = plan?.savings ?? '';
+          savings.hidden = !savings.textContent;
+        });
+
+        const checked = this.inputs.find((input) => input.checked);
+        if (!checked || checked.disabled) {
+          const enabled = this.inputs.filter((input) => !input.disabled);
+          const replacement =
+            enabled.find((input) => checked && input.dataset.groupId === checked.dataset.groupId) || enabled[0];
+          if (checked) checked.checked = false;
+          if (replacement) replacement.checked = true;
+        }
+
+        this.updatePrice();
+      }
+
+      // the price block shows the price of the checked plan, see ProductInfo.updatePrice
+      updatePrice() {
+        const variant = this.variants[this.variantId];
+        const plan = variant?.plans[this.inputs.find((input) => input.checked)?.value];
+        if (!plan) return;
+
+        this.closest('product-info')?.updatePrice(
+          { available: variant.available, price: plan.price, compare_at_price: plan.compare_at_price },
+          plan.html
+        );
+      }
+    }
+  );
+}
@@ -0,0 +1,128 @@
+if (!customElements.get('shipping-estimator')) {
+  customElements.define(
+    'shipping-estimator',
+    class ShippingEstimator extends HTMLElement {
+      static POLL_INTERVAL = 500;
+      static MAX_POLLS = 20;
+      // the drawer is re-rendered on every cart change, the address entered is carried over to the new form
+      static lastAddress = null;
+
+      connectedCallback() {
+        const { id } = this.dataset;
+        this.form = this.querySelector('form');
+        this.results = this.querySelector('.shipping-estimator__results');
+
+        if (ShippingEstimator.lastAddress) {
+          const { country, province, zip } = ShippingEstimator.lastAddress;
+          this.form.elements.country.dataset.default = country;
+          this.form.elements.province.dataset.default = province;
+          this.form.elements.zip.value = zip;
+        }
+
+        // eslint-disable-next-line no-new
+        new Shopify.CountryProvinceSelector(`${id}-Country`, `${id}-Province`, {
+          hideElement: `${id}-ProvinceContainer`,
+        });
+
+        this.form.addEventListener('submit', this.onSubmit.bind(this));
+      }
+
+      onSubmit(event) {
+        event.preventDefault();
+
+        const address = {
+          country: this.form.elements.country.value,
+          province: this.form.elements.province.value,
+          zip: this.form.elements.zip.value.trim(),
+        };
+        ShippingEstimator.lastAddress = address;
+
+        const params = new URLSearchParams();
+        Object.entries(address).forEach(([field, value]) => params.append(`shipping_address[${field}]`, value));
+
+        this.setLoading(true);
+        this.prepareRates(params)
+          .then(() => this.pollRates(params))
+          .then((rates) => this.renderRates(rates))
+          .catch((error) => this.renderError(error))
+          .finally(() => this.setLoading(false));
+      }
+
+      // rates are calculated in the background, prepare_shipping_rates starts the calculation for the address
+      prepareRates(params) {
+        return fetch(`${routes.cart_url}/prepare_shipping_rates.json?${params}`, {
+          method: 'POST',
+          headers: { Accept: 'application/json' },
+        }).then((response) => {
+          if (response.ok) return;
+
+          return response.json().then((errors) => {
+            throw errors;
+          });
+        });
+      }
+
+      pollRates(params, attempt = 0) {
+        return fetch(`${routes.cart_url}/async_shipping_rates.json?${params}`, {
+          headers: { Accept: 'application/json' },
+        })
+          .then((response) => response.json().then((data) => ({ status: response.status, data })))
+          .then(({ status, data }) => {
+            if (status >= 400) throw data;
+            if (data.shipping_rates) return data.shipping_rates;
+            if (attempt >= ShippingEstimator.MAX_POLLS) throw new Error('Timed out waiting for shipping rates');
+
+            return new Promise((resolve) => setTimeout(resolve, ShippingEstimator.POLL_INTERVAL)).then(() =>
+              this.pollRates(params, attempt + 1)
+            );
+          });
+      }
+
+      renderRates(rates) {
+        const list = this.querySelector('.shipping-estimator__rates');
+        list.replaceChildren(
+          ...rates.map((rate) => {
+            const item = document.createElement('li');
+            item.className = 'shipping-estimator__rate';
+            item.textContent = `${rate.presentment_name || rate.name}: `;
+            item.insertAdjacentHTML('beforeend', formatMoney(Math.round(parseFloat(rate.price) * 100)));
+            return item;
+          })
+        );
+
+        let message = window.cartStrings.shippingRatesNone;
+        if (rates.length === 1) message = window.cartStrings.shippingRatesOne;
+        if (rates.length > 1) message = window.cartStrings.shippingRatesOther.replace('[count]', rates.length);
+        this.renderMessage(message);
+      }
+
+      // address errors come back keyed by field, e.g. { zip: ['is not valid for Canada'] }
+      renderError(errors) {
+        this.querySelector('.shipping-estimator__rates').replaceChildren();
+
+        if (!errors || errors instanceof Error || typeof errors !== 'object') {
+          this.renderMessage(window.cartStrings.shippingError, true);
+          return;
+        }
+
+        const message = Object.entries(errors)
+          .map(([field, messages]) => `${field === 'error' ? '' : `${field} `}${[].concat(messages).join(', ')}`)
+          .join('. ');
+        this.renderMessage(message.charAt(0).toUpperCase() + message.slice(1), true);
+      }
+
+      renderMessage(message, isError = false) {
+        const messageElement = this.querySelector('.shipping-estimator__message');
+        messageElement.textContent = message;
+        messageElement.classList.toggle('form__message', isError);
+        this.results.hidden = false;
+      }
+
+      setLoading(loading) {
+        const submitButton = this.querySelector('.shipping-estimator__submit');
+        submitButton.toggleAttribute('disabled', loading);
+        this.setAttribute('aria-busy', loading);
+      }
+    }
+  );
+}
@@ -0,0 +1,133 @@
+if (!customElements.get('sticky-add-to-cart')) {
+  customElements.define(
+    'sticky-add-to-cart',
+    class StickyAddToCart extends HTMLElement {
+      formVisible = true;
+      formPassed = false;
+      footerVisible = false;
+
+      constructor() {
+        super();
+
+        this.button = this.querySelector('.sticky-add-to-cart__button');
+        // the bar adds through the product form, so the cart drawer, errors and sold out states are the form's own
+        this.button.addEventListener('click', () => this.submitButton?.click());
+      }
+
+      connectedCallback() {
+        if (!this.productForm) return;
+
+        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, ({ data }) => {
+          if (this.productForm.variantIdInput?.value !== String(data.variant.id)) return;
+          this.update(data.variant);
+        });
+        this.quantityUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.quantityUpdate, () => this.updateQuantity());
+        this.quantityInput?.addEventListener('change', () => this.updateQuantity());
+
+        // the product form changes its submit button and error message while it's adding
+        this.mutationObserver = new MutationObserver(() => this.syncProductForm());
+        this.mutationObserver.observe(this.productForm, {
+          attributes: true,
+          attributeFilter: ['class', 'disabled', 'aria-disabled', 'hidden'],
+          childList: true,
+          characterData: true,
+          subtree: true,
+        });
+
+        this.intersectionObserver = new IntersectionObserver((entries) => {
+          entries.forEach(({ target, isIntersecting, boundingClientRect }) => {
+            if (target === this.productForm) {
+              this.formVisible = isIntersecting;
+              this.formPassed = !isIntersecting && boundingClientRect.bottom < 0;
+            } else {
+              this.footerVisible = isIntersecting;
+            }
+          });
+          this.toggle();
+        });
+        this.intersectionObserver.observe(this.productForm);
+        const footer = document.querySelector('.footer');
+        if (footer) this.intersectionObserver.observe(footer);
+
+        this.updateQuantity();
+        this.syncProductForm();
+      }
+
+      disconnectedCallback() {
+        this.variantChangeUnsubscriber?.();
+        this.quantityUpdateUnsubscriber?.();
+        this.mutationObserver?.disconnect();
+        this.intersectionObserver?.disconnect();
+      }
+
+      get productForm() {
+        return document.getElementById(this.dataset.productForm)?.closest('product-form');
+      }
+
+      get submitButton() {
+        return this.productForm?.querySelector('[type="submit"]');
+      }
+
+      get quantityInput() {
+        return document.querySelector(`input[name="quantity"][form="${this.dataset.productForm}"]`);
+      }
+
+      // the bar is shown once the product form is scrolled past, and until the footer comes into view
+      toggle() {
+        this.hidden = this.formVisible || !this.formPassed || this.footerVisible;
+      }
+
+      // called with null when the selected options don't make a variant, see ProductInfo.setUnavailable
+      update(variant) {
+        this.querySelector('.sticky-add-to-cart__variant').textContent =
+          variant && this.dataset.hasOnlyDefaultVariant !== 'true' ? variant.title : '';
+        if (variant) {
+          this.updatePrice();
+        } else {
+          this.querySelector('.sticky-add-to-cart__price').replaceChildren();
+        }
+      }
+
+      // copies the price block of the form, also when a selling plan changed it, see ProductInfo.updatePrice
+      updatePrice() {
+        const price = document.getElementById(this.dataset.price)?.querySelector('.price');
+        const destination = this.querySelector('.sticky-add-to-cart__price');
+        if (!price) {
+          destination.replaceChildren();
+          return;
+        }
+
+        const clone = price.cloneNode(true);
+        clone.classList.remove('price--large');
+        destination.replaceChildren(clone);
+      }
+
+      updateQuantity() {
+        const quantity = parseInt(this.quantityInput?.value);
+        this.querySelector('.sticky-add-to-cart__quantity').textContent =
+          quantity > 1 ? this.dataset.quantityLabel.replace('[quantity]', quantity) : '';
+      }
+
+      syncProductForm() {
+        const { submitButton } = this;
+        this.button.disabled = submitButton.disabled;
+        this.button.setAttribute('aria-disabled', submitButton.getAttribute('aria-disabled') === 'true');
+        this.button.classList.toggle('loading', submitButton.classList.contains('loading'));
+        this.button
+          .querySelector('.loading__spinner')
+          .classList.toggle('hidden', !submitButton.classList.contains('loading'));
+        if (submitButton.hasAttribute('aria-haspopup')) this.button.setAttribute('aria-haspopup', 'dialog');
+
+        const text = [...submitButton.querySelectorAll('span:not(.hidden)')].find(
+          (span) => !span.closest('.loading__spinner') && span.textContent.trim()
+        );
+        this.button.querySelector('span').textContent = text?.textContent.trim() ?? '';
+
+        const errorWrapper = this.productForm.querySelector('.product-form__error-message-wrapper');
+        const error = this.querySelector('.sticky-add-to-cart__error');
+        error.textContent = errorWrapper?.hidden === false ? errorWrapper.textContent.trim() : '';
+        error.hidden = !error.textContent;
+      }
+    }
+  );
+}
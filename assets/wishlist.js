@@ -0,0 +1,264 @@
+// Items saved with a variant stand for that variant, items saved from a product card for the whole product:
+// `{ id, product_id, variant_id, handle, title }` with `variant_id` null for products.
+class Wishlist {
+  static list = new ProductListStore('wishlist', { event: PUB_SUB_EVENTS.wishlistUpdate });
+  // product url => response of sections/wishlist-item.liquid
+  static rows = new Map();
+
+  static itemId(productId, variantId) {
+    return variantId ? `${productId}:${variantId}` : String(productId);
+  }
+
+  static hasProduct(productId) {
+    return Wishlist.list.items.some((item) => String(item.product_id) === String(productId));
+  }
+
+  static removeProduct(productId) {
+    const items = Wishlist.list.items.filter((item) => String(item.product_id) === String(productId));
+    return Promise.all(items.map(({ id }) => Wishlist.list.remove(id)));
+  }
+
+  static fetchRow(item) {
+    const { rows } = Wishlist;
+    const url = new URL(
+      `${routes.root_url.replace(/\/$/, '')}/products/${encodeURIComponent(item.handle)}`,
+      window.location.origin
+    );
+    if (item.variant_id) url.searchParams.set('variant', item.variant_id);
+    url.searchParams.set('section_id', 'wishlist-item');
+
+    const key = url.toString();
+    if (!rows.has(key)) {
+      rows.set(
+        key,
+        fetch(url).then((response) => {
+          // the product may have been deleted or unpublished since it was saved
+          if (!response.ok) return '';
+          return response.text();
+        })
+      );
+      rows.get(key).catch(() => rows.delete(key));
+    }
+
+    return rows
+      .get(key)
+      .then((text) => new DOMParser().parseFromString(text, 'text/html').querySelector('.wishlist-item'))
+      .catch(() => null);
+  }
+}
+
+class WishlistButton extends HTMLElement {
+  constructor() {
+    super();
+
+    this.button = this.querySelector('button');
+    this.button.addEventListener('click', this.toggle.bind(this));
+  }
+
+  connectedCallback() {
+    this.wishlistUnsubscriber = subscribe(PUB_SUB_EVENTS.wishlistUpdate, () => this.update());
+    Wishlist.list.ready.then(() => this.update());
+
+    if (!this.dataset.variantId) return;
+
+    // follows the variant selected in the product form next to it, see BackInStockForm
+    this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, ({ data }) => {
+      if (this.productForm?.variantIdInput?.value !== String(data.variant.id)) return;
+      this.setVariant(data.variant);
+    });
+  }
+
+  disconnectedCallback() {
+    this.wishlistUnsubscriber();
+    this.variantChangeUnsubscriber?.();
+  }
+
+  get productForm() {
+    return this.parentElement.querySelector('product-form');
+  }
+
+  get itemId() {
+    return Wishlist.itemId(this.dataset.productId, this.dataset.variantId);
+  }
+
+  // a product card's button is pressed when any variant of the product is saved
+  get saved() {
+    if (this.dataset.variantId) return Wishlist.list.has(this.itemId);
+    return Wishlist.hasProduct(this.dataset.productId);
+  }
+
+  toggle() {
+    if (this.saved) {
+      if (this.dataset.variantId) {
+        Wishlist.list.remove(this.itemId);
+      } else {
+        Wishlist.removeProduct(this.dataset.productId);
+      }
+      return;
+    }
+
+    Wishlist.list.add({
+      id: this.itemId,
+      product_id: Number(this.dataset.productId),
+      variant_id: this.dataset.variantId ? Number(this.dataset.variantId) : null,
+      handle: this.dataset.handle,
+      title: this.dataset.title,
+    });
+  }
+
+  // called with null when the selected options don't make a variant, see ProductInfo.setUnavailable
+  setVariant(variant) {
+    if (variant) this.dataset.variantId = variant.id;
+    this.button.disabled = !variant;
+    this.update();
+  }
+
+  update() {
+    this.button.setAttribute('aria-pressed', !this.button.disabled && this.saved);
+  }
+}
+
+customElements.define('wishlist-button', WishlistButton);
+
+class WishlistCount extends HTMLElement {
+  connectedCallback() {
+    this.wishlistUnsubscriber = subscribe(PUB_SUB_EVENTS.wishlistUpdate, () => this.render());
+    Wishlist.list.ready.then(() => this.render());
+  }
+
+  disconnectedCallback() {
+    this.wishlistUnsubscriber();
+  }
+
+  // the bubble is hidden while it's empty
+  render() {
+    const count = Wishlist.list.items.length;
+    if (!count) {
+      this.replaceChildren();
+      return;
+    }
+
+    const number = document.createElement('span');
+    number.setAttribute('aria-hidden', true);
+    number.textContent = count < 100 ? count : '';
+    const label = document.createElement('span');
+    label.className = 'visually-hidden';
+    label.textContent = (count === 1 ? window.wishlistStrings.countOne : window.wishlistStrings.countOther).replace(
+      '[count]',
+      count
+    );
+    this.replaceChildren(number, label);
+  }
+}
+
+customElements.define('wishlist-count', WishlistCount);
+
+class WishlistItems extends HTMLElement {
+  renderCount = 0;
+
+  constructor() {
+    super();
+
+    this.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-action]');
+      if (!button || button.getAttribute('aria-disabled') === 'true') return;
+
+      if (button.dataset.action === 'add-all') {
+        this.addAllToCart(button);
+      } else {
+        Wishlist.list.remove(button.closest('[data-id]').dataset.id);
+      }
+    });
+  }
+
+  connectedCallback() {
+    this.wishlistUnsubscriber = subscribe(PUB_SUB_EVENTS.wishlistUpdate, () => this.render());
+    Wishlist.list.ready.then(() => this.render());
+  }
+
+  disconnectedCallback() {
+    this.wishlistUnsubscriber();
+  }
+
+  render() {
+    const renderCount = ++this.renderCount;
+    const { items } = Wishlist.list;
+
+    return Promise.all(items.map((item) => Wishlist.fetchRow(item))).then((rows) => {
+      // the list changed again while these rows were loading
+      if (renderCount !== this.renderCount) return;
+
+      this.querySelector('.wishlist__list').replaceChildren(
+        ...items.map((item, index) => this.renderRow(item, rows[index]))
+      );
+      this.querySelector('.wishlist__empty').hidden = items.length > 0;
+      this.querySelector('.wishlist__footer').hidden = !this.availableRows.length;
+      this.setError();
+    });
+  }
+
+  renderRow(item, row) {
+    // rows of deleted variants come back with another variant selected
+    if (!row || (item.variant_id && row.dataset.variantId !== String(item.variant_id))) {
+      row = this.querySelector('template').content.firstElementChild.cloneNode(true);
+      row.querySelector('.wishlist-item__title').textContent = item.title;
+      row
+        .querySelector('[data-action="remove"]')
+        .setAttribute('aria-label', this.dataset.removeLabel.replace('[title]', item.title));
+    }
+
+    row.dataset.id = item.id;
+    return row;
+  }
+
+  get availableRows() {
+    return [...this.querySelectorAll('.wishlist-item[data-available="true"]')];
+  }
+
+  // adds a unit of each available item the way the product form does, the cart drawer is opened with them
+  // and the cart page is opened otherwise, since the cart notification only shows a single product
+  addAllToCart(button) {
+    const cart = document.querySelector('cart-drawer');
+    const body = {
+      items: this.availableRows.map((row) => ({ id: Number(row.dataset.variantId), quantity: 1 })),
+    };
+    if (cart) {
+      body.sections = cart.getSectionsToRender().map((section) => section.id);
+      body.sections_url = window.location.pathname;
+    }
+
+    this.setError();
+    button.setAttribute('aria-disabled', true);
+    button.classList.add('loading');
+    button.querySelector('.loading__spinner').classList.remove('hidden');
+
+    CartStore.add(body, { source: 'wishlist' })
+      .then((response) => {
+        if (response.status) {
+          this.setError(response.description || window.cartStrings.error);
+          return;
+        }
+
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'wishlist', cartData: response });
+        if (!cart) {
+          window.location = window.routes.cart_url;
+          return;
+        }
+        cart.renderContents(response);
+      })
+      .catch(() => this.setError(window.cartStrings.error))
+      .finally(() => {
+        button.removeAttribute('aria-disabled');
+        button.classList.remove('loading');
+        button.querySelector('.loading__spinner').classList.add('hidden');
+      });
+  }
+
+  setError(message = '') {
+    const error = this.querySelector('.wishlist__error');
+    error.textContent = message;
+    error.hidden = !message;
+  }
+}
+
+customElements.define('wishlist-items', WishlistItems);